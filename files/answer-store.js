@@ -0,0 +1,103 @@
+// Keeps every generated answer in IndexedDB so earlier answers can be searched,
+// tagged and compared after they have been replaced in the response panel.
+export class AnswerStore {
+    static DB_NAME = 'agenda2030ai-answers';
+    static DB_VERSION = 1;
+    static STORE_NAME = 'answers';
+
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(AnswerStore.DB_NAME, AnswerStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(AnswerStore.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('goalId', 'goalId');
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(AnswerStore.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(AnswerStore.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // answer: { goalId, prompt, language, provider, model, text, translatedText?, translatedLanguage? }
+    async add(answer) {
+        const record = { tags: [], createdAt: Date.now(), ...answer };
+        record.id = await this.transaction('readwrite', store => store.add(record));
+        return record;
+    }
+
+    async get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    // Newest first
+    async getAll() {
+        const answers = await this.transaction('readonly', store => store.getAll());
+        return answers.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async update(id, changes) {
+        const answer = await this.get(id);
+        if (!answer) {
+            throw new Error(`Saved answer ${id} not found`);
+        }
+
+        const updated = { ...answer, ...changes, id };
+        await this.transaction('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    async delete(id) {
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async search(query = '', { tag = null, goalId = null } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(term => term);
+        const answers = await this.getAll();
+
+        return answers.filter(answer => {
+            if (tag && !answer.tags.includes(tag)) return false;
+            if (goalId !== null && answer.goalId !== goalId) return false;
+
+            const haystack = [answer.prompt, answer.text, answer.translatedText || '', answer.model, ...answer.tags]
+                .join('\n')
+                .toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    // Newest answer to the same question, preferring one that is available in the given language
+    async findLatest(goalId, prompt, language) {
+        const answers = (await this.getAll()).filter(answer => answer.goalId === goalId && answer.prompt === prompt);
+        return answers.find(answer => answer.language === language || answer.translatedLanguage === language)
+            || answers[0]
+            || null;
+    }
+
+    async getTags() {
+        const answers = await this.getAll();
+        return [...new Set(answers.flatMap(answer => answer.tags))].sort();
+    }
+}
@@ -1,40 +1,244 @@
-class AIService {
-    async generateResponse(prompt, language) {
+import { CONFIG } from './config.js';
+import { AI_ERROR_MESSAGES, AI_PROVIDERS, createAIProvider } from './providers.js';
+import { LocaleManager } from './locale.js';
+import { Router } from './router.js';
+import { MarkdownRenderer } from './markdown.js';
+import { TranslationService } from './translations.js';
+import { GoalsManager } from './goals.js';
+import { GoalSearch } from './goal-search.js';
+import { AnswerStore } from './answer-store.js';
+import { LibraryPanel } from './library.js';
+import { ReportExporter } from './report.js';
+import { OfflineManager } from './offline.js';
+import { SettingsManager } from './settings.js';
+import { GroundingService } from './grounding.js';
+import { UsageMeter } from './usage-meter.js';
+import { UsageDashboard } from './usage-dashboard.js';
+
+export class AIService {
+    static MAX_RETRY_DELAY_MS = 30000;
+
+    // settings (a SettingsManager) supplies the model, sampling settings and response style;
+    // usage (a UsageMeter) records every call and enforces the budgets
+    constructor(providerName = CONFIG.AI_PROVIDER, settings = null, usage = null) {
+        this.settings = settings;
+        this.usage = usage;
+        this.setProvider(providerName);
+    }
+
+    setProvider(providerName) {
+        this.provider = createAIProvider(providerName);
+    }
+
+    answersInLanguage() {
+        return CONFIG.TRANSLATION_MODE === 'model';
+    }
+
+    getLanguageName(language) {
         try {
-            const response = await fetch(CONFIG.GEMINI_API_URL + '?key=' + CONFIG.GEMINI_API_KEY, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{ text: prompt }]
-                    }]
-                })
-            });
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+        } catch (error) {
+            return language;
+        }
+    }
+
+    getModel() {
+        return this.settings ? this.settings.getModel(this.provider) : this.provider.getModel();
+    }
+
+    // The response style is left out for translations, which must keep the text as it is
+    buildSystemInstruction(language, { style = true } = {}) {
+        const instructions = [];
+        if (this.answersInLanguage() && language) {
+            const languageName = this.getLanguageName(language);
+            instructions.push(`Always respond in ${languageName} (language code "${language}"), even if the question or earlier messages are in another language. Use Markdown for structure.`);
+        }
+        if (style && this.settings) {
+            instructions.push(this.settings.getStyleInstruction());
+        }
+        return instructions.filter(instruction => instruction).join('\n\n') || null;
+    }
+
+    // options.search turns on search grounding; options.onGrounding receives the sources found.
+    // options.limitTokens: false drops the answer length setting, which would cut off long translations.
+    buildRequest(prompt, language, history, options = {}) {
+        return {
+            prompt,
+            language,
+            history,
+            search: Boolean(options.search),
+            onGrounding: options.onGrounding,
+            systemInstruction: this.buildSystemInstruction(language, options),
+            model: this.getModel(),
+            ...(this.settings && {
+                temperature: this.settings.get('temperature'),
+                ...(options.limitTokens !== false && { maxTokens: this.settings.get('maxTokens') })
+            })
+        };
+    }
+
+    async translateText(text, language) {
+        const prompt = `Translate the following text into ${this.getLanguageName(language)}. Keep the Markdown formatting exactly as it is, including footnote markers such as [^1] and the footnote lines at the end, and reply with the translation only.\n\n${text}`;
+        return this.generateResponse(prompt, language, [], { style: false, limitTokens: false });
+    }
+
+    // Doubles the wait for every attempt, unless a rate limit says how long to wait
+    getRetryDelay(error, attempt) {
+        if (error.retryAfter) return error.retryAfter * 1000;
+        return CONFIG.AI_RETRY_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.2);
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    // Runs request() again for retryable errors. onRetry({ attempt, retries, error }) is called before each wait.
+    async withRetry(request, { signal, onRetry = () => {}, canRetry = () => true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                const delay = error.retryable ? this.getRetryDelay(error, attempt) : 0;
+                const retry = error.retryable
+                    && attempt < CONFIG.AI_MAX_RETRIES
+                    && delay <= AIService.MAX_RETRY_DELAY_MS
+                    // Without a connection only a local provider can answer, and it just failed
+                    && !(error.type === 'network' && !navigator.onLine)
+                    && canRetry(error);
+                if (!retry) throw error;
+
+                onRetry({ attempt: attempt + 1, retries: CONFIG.AI_MAX_RETRIES, error });
+                await this.wait(delay, signal);
+            }
+        }
+    }
+
+    // Runs call(onUsage) through the usage meter, which throws a BudgetExceededError instead when a
+    // budget is used up. goalId is the goal the call is for, by default the selected one.
+    track(request, goalId, call) {
+        if (!this.usage) return call(() => {});
+        return this.usage.trackAI({ provider: this.provider.name, model: request.model, goalId }, call);
+    }
 
-            const data = await response.json();
-            return data.candidates[0].content.parts[0].text;
+    async generateResponse(prompt, language, history = [], { onRetry, goalId, ...options } = {}) {
+        try {
+            const request = this.buildRequest(prompt, language, history, options);
+            const result = await this.track(request, goalId, onUsage =>
+                this.withRetry(() => this.provider.generate({ ...request, onUsage }), { onRetry }));
+            return result.text;
         } catch (error) {
             console.error('AI Service Error:', error);
             throw error;
         }
     }
+
+    // A stream is only retried when nothing has been shown yet, so text is never repeated
+    async streamResponse(prompt, language, history = [], onChunk = () => {}, signal, { onRetry, goalId, ...options } = {}) {
+        let received = false;
+        try {
+            const request = this.buildRequest(prompt, language, history, options);
+            return await this.track(request, goalId, onUsage => this.withRetry(
+                () => this.provider.stream({ ...request, onUsage }, (...args) => {
+                    received = true;
+                    onChunk(...args);
+                }, signal),
+                { signal, onRetry, canRetry: () => !received }));
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('AI Stream Error:', error);
+            }
+            throw error;
+        }
+    }
 }
 
-class App {
+export class App {
     constructor() {
-        this.translationService = new TranslationService();
         this.goalsManager = new GoalsManager();
-        this.aiService = new AIService();
+        this.settings = new SettingsManager({
+            getProvider: () => this.aiService.provider,
+            getGoal: () => this.goalsManager.getSelectedGoal()
+        });
+        this.usage = new UsageMeter({ settings: this.settings });
+        this.translationService = new TranslationService(CONFIG.TRANSLATION_BACKEND, this.usage);
+        this.goalSearch = new GoalSearch({
+            goalsManager: this.goalsManager,
+            translationService: this.translationService,
+            getLanguage: () => this.currentLanguage
+        });
+        this.aiService = new AIService(CONFIG.AI_PROVIDER, this.settings, this.usage);
+        this.grounding = new GroundingService({
+            settings: this.settings,
+            getProvider: () => this.aiService.provider
+        });
+        this.markdownRenderer = new MarkdownRenderer();
+        this.locale = new LocaleManager();
+        this.router = new Router();
+        this.library = new LibraryPanel({
+            store: new AnswerStore(),
+            goalsManager: this.goalsManager,
+            markdownRenderer: this.markdownRenderer,
+            locale: this.locale,
+            translationService: this.translationService,
+            getLanguage: () => this.currentLanguage,
+            onOpen: (answer) => this.openSavedAnswer(answer)
+        });
+        this.reportExporter = new ReportExporter({
+            store: this.library.store,
+            goalsManager: this.goalsManager,
+            markdownRenderer: this.markdownRenderer,
+            translationService: this.translationService,
+            locale: this.locale,
+            getLanguage: () => this.currentLanguage,
+            getCurrentAnswer: () => this.currentAnswer,
+            translate: (text, from, to) => this.translateResponse(text, from, to)
+        });
+        this.usageDashboard = new UsageDashboard({
+            usage: this.usage,
+            settings: this.settings,
+            goalsManager: this.goalsManager,
+            markdownRenderer: this.markdownRenderer,
+            translationService: this.translationService,
+            locale: this.locale,
+            getLanguage: () => this.currentLanguage
+        });
         this.currentLanguage = 'en';
+        this.currentAnswer = null;
+        this.sharedAnswer = null;
+        this.conversations = new Map();
+        this.offline = new OfflineManager({
+            locale: this.locale,
+            onReconnect: () => this.processPromptQueue()
+        });
+        this.abortController = null;
+        // Counts questions so an older one that finishes late does not overwrite a newer one's answer
+        this.questionCount = 0;
         
         this.initialize();
     }
 
     initialize() {
-        // Render goals
+        // Render goals, then add their targets once the SDG data has loaded
         this.goalsManager.renderGoals();
+        this.usage.setGoal(this.goalsManager.getSelectedGoal().id);
+        this.goalsManager.loadTargets().then(() => {
+            if (this.currentLanguage !== 'en') {
+                this.translationService.translatePage(this.currentLanguage);
+            }
+        });
+
+        // Set up goal search and theme filter
+        this.goalSearch.initialize();
 
         // Set up language selector
         const languageSelect = document.getElementById('languageSelect');
@@ -43,23 +247,256 @@ class App {
         });
 
         // Set up prompt buttons
+        // The click may land on a search highlight inside the button
         document.addEventListener('click', async (e) => {
-            if (e.target.classList.contains('prompt-button')) {
-                await this.handlePromptClick(e.target);
+            const button = e.target.closest('.prompt-button, .target-prompt-button');
+            if (!button) return;
+            if (button.classList.contains('prompt-button')) {
+                await this.handlePromptClick(button);
+            } else {
+                await this.handleTargetPromptClick(button);
             }
         });
 
-        // Set initial language if specified in URL
+        // Translate targets and indicators when they are expanded ('toggle' does not bubble)
+        document.addEventListener('toggle', (e) => {
+            if (e.target.open && this.currentLanguage !== 'en') {
+                this.translationService.translateRevealed(e.target, this.currentLanguage);
+            }
+        }, true);
+
+        // Keyboard navigation between goals (capture phase, see handleGoalNavKeydown)
+        document.getElementById('goals-nav').addEventListener('keydown', (e) => {
+            this.handleGoalNavKeydown(e);
+        }, true);
+
+        // Set up AI provider selector
+        const providerSelect = document.getElementById('providerSelect');
+        providerSelect.value = this.aiService.provider.name;
+        providerSelect.addEventListener('change', (e) => {
+            this.handleProviderChange(e.target.value);
+        });
+
+        // Set up the generation settings panel
+        this.settings.initialize();
+
+        // Set up stop button for streamed responses
+        document.getElementById('stopButton').addEventListener('click', () => {
+            this.stopResponse();
+        });
+
+        // Set up share button for the current answer
+        document.getElementById('shareButton').addEventListener('click', () => {
+            this.handleShareClick();
+        });
+
+        // Set up the service worker, connection status and offline prompt queue
+        this.offline.initialize();
+
+        // Set up the saved answers library and report export
+        this.library.initialize();
+        this.reportExporter.initialize();
+
+        // Set up the usage and budget panel
+        this.usageDashboard.initialize();
+
+        // Keep the URL and the usage meter in sync with the selected goal
+        document.getElementById('goals-nav').addEventListener('shown.bs.tab', (e) => {
+            const goalId = Number(e.target.getAttribute('data-bs-target').replace('#goal-', ''));
+            this.usage.setGoal(goalId);
+            if (this.router.parse().goalId !== goalId) {
+                this.router.navigate({ goalId, lang: this.currentLanguage });
+            }
+        });
+
+        // Set up follow-up question forms
+        document.addEventListener('submit', async (e) => {
+            if (e.target.classList.contains('chat-form')) {
+                e.preventDefault();
+                await this.handleChatSubmit(e.target);
+            }
+        });
+
+        // Set initial provider, language, goal and prompt if specified in URL
         const urlParams = new URLSearchParams(window.location.search);
-        const lang = urlParams.get('lang');
+        const provider = urlParams.get('provider');
+        if (provider && AI_PROVIDERS[provider]) {
+            providerSelect.value = provider;
+            this.handleProviderChange(provider);
+        }
+
+        const route = this.router.parse();
+        const lang = route.lang || urlParams.get('lang');
         if (lang) {
             languageSelect.value = lang;
             this.handleLanguageChange(lang);
         }
+
+        this.applyRoute(route, { initial: true });
+        this.router.onChange(route => this.applyRoute(route));
+
+        // Run prompts that were queued while offline in an earlier session
+        this.processPromptQueue();
+    }
+
+    processPromptQueue() {
+        return this.offline.processQueue(async (item) => {
+            this.showGoal(item.goalId);
+            await this.askQuestion(item.goalId, item.prompt, { language: item.language, fromQueue: true });
+        });
+    }
+
+    // Without a network, show the newest saved answer to the same question or queue the question
+    async answerOffline(goalId, prompt, language) {
+        const responseContainer = document.getElementById('aiResponse');
+        let saved = null;
+        try {
+            saved = await this.library.store.findLatest(goalId, prompt, language);
+        } catch (error) {
+            console.error('Error looking up saved answers:', error);
+        }
+
+        if (saved) {
+            const text = saved.translatedText && saved.translatedLanguage === language ? saved.translatedText : saved.text;
+            const notice = await this.translationService.translate('You are offline. Showing a saved answer.', this.currentLanguage);
+            this.addExchange(goalId, prompt, saved.text);
+            this.currentAnswer = { goalId, prompt, language: saved.language, text: saved.text };
+            this.keepOriginal(responseContainer, saved.text, saved.language);
+            responseContainer.innerHTML = `
+                <div class="alert alert-info py-2">${this.markdownRenderer.escapeHtml(notice)}</div>
+                <div class="ai-response-content">${this.markdownRenderer.render(text)}</div>
+            `;
+            this.appendChatMessage(goalId, 'model', text);
+            document.getElementById('shareButton').classList.remove('d-none');
+            this.announce(notice);
+            return;
+        }
+
+        this.offline.enqueue({ goalId, prompt, language });
+        const queuedMessage = await this.translationService.translate('You are offline. The question will be asked when the connection is back.', this.currentLanguage);
+        this.renderNotice(responseContainer, queuedMessage, 'info');
+        this.announce(queuedMessage);
+    }
+
+    // Prompts are only re-run when a link is opened, not when moving back and forward in history
+    async applyRoute(route, { initial = false } = {}) {
+        const lang = route.lang || 'en';
+        if (!initial && lang !== this.currentLanguage) {
+            document.getElementById('languageSelect').value = lang;
+            this.handleLanguageChange(lang);
+        }
+
+        if (route.goalId !== null) {
+            this.showGoal(route.goalId);
+        }
+
+        if (route.answer) {
+            await this.showSharedAnswer(route.answer);
+        } else if (initial && route.goalId !== null && route.promptIndex !== null) {
+            const button = document.querySelector(
+                `.prompt-button[data-goal-id="${route.goalId}"][data-prompt-index="${route.promptIndex}"]`);
+            if (button) {
+                await this.handlePromptClick(button);
+            }
+        }
+    }
+
+    showGoal(goalId) {
+        const navItem = document.querySelector(`#goals-nav [data-bs-target="#goal-${goalId}"]`);
+        if (navItem && !navItem.classList.contains('active')) {
+            bootstrap.Tab.getOrCreateInstance(navItem).show();
+        }
+    }
+
+    // The answer comes from the link, which anyone can write, so it is only shown: it is not added to
+    // the goal's thread and never sent to the model, neither with follow-up questions nor to translate it
+    async showSharedAnswer(encodedAnswer) {
+        const responseContainer = document.getElementById('aiResponse');
+        if (encodedAnswer === this.sharedAnswer) return;
+        this.sharedAnswer = encodedAnswer;
+
+        try {
+            const answer = await this.router.decodeAnswer(encodedAnswer);
+            this.currentAnswer = answer;
+            this.keepOriginal(responseContainer, answer.text, answer.language, { shared: true });
+
+            const text = await this.translateSharedAnswer(answer.text, answer.language, this.currentLanguage);
+            this.renderResponse(responseContainer, text);
+            const question = document.createElement('p');
+            question.className = 'fw-semibold';
+            question.setAttribute('dir', 'auto');
+            question.textContent = answer.prompt;
+            responseContainer.prepend(question);
+            document.getElementById('shareButton').classList.remove('d-none');
+        } catch (error) {
+            console.error('Error opening shared answer:', error);
+            const errorMessage = await this.translationService.translate('This shared link could not be opened.', this.currentLanguage);
+            this.renderNotice(responseContainer, errorMessage, 'warning');
+        }
+    }
+
+    async openSavedAnswer(answer) {
+        const responseContainer = document.getElementById('aiResponse');
+        this.showGoal(answer.goalId);
+        this.router.navigate({ goalId: answer.goalId, lang: this.currentLanguage });
+
+        try {
+            this.currentAnswer = { goalId: answer.goalId, prompt: answer.prompt, language: answer.language, text: answer.text };
+            const added = this.addExchange(answer.goalId, answer.prompt, answer.text);
+            this.keepOriginal(responseContainer, answer.text, answer.language);
+
+            // Reuse the translation saved with the answer when it matches the current language
+            const text = answer.translatedText && answer.translatedLanguage === this.currentLanguage
+                ? answer.translatedText
+                : await this.translateResponse(answer.text, answer.language, this.currentLanguage);
+            this.renderResponse(responseContainer, text);
+            if (added) {
+                this.appendChatMessage(answer.goalId, 'user', answer.prompt);
+                this.appendChatMessage(answer.goalId, 'model', text);
+            }
+            document.getElementById('shareButton').classList.remove('d-none');
+        } catch (error) {
+            console.error('Error opening saved answer:', error);
+            const errorMessage = await this.translationService.translate('This saved answer could not be opened.', this.currentLanguage);
+            this.renderNotice(responseContainer, errorMessage, 'warning');
+        }
+    }
+
+    async handleShareClick() {
+        if (!this.currentAnswer) return;
+
+        const shareStatus = document.getElementById('shareStatus');
+        let link = null;
+
+        try {
+            const encoded = await this.router.encodeAnswer(this.currentAnswer);
+            const hash = this.router.build({ goalId: this.currentAnswer.goalId, answer: encoded, lang: this.currentLanguage });
+            link = `${window.location.origin}${window.location.pathname}${hash}`;
+            await navigator.clipboard.writeText(link);
+            shareStatus.textContent = await this.translationService.translate('Link copied to clipboard', this.currentLanguage);
+            setTimeout(() => {
+                shareStatus.textContent = '';
+            }, 3000);
+        } catch (error) {
+            if (!link) {
+                console.error('Error creating share link:', error);
+                shareStatus.textContent = await this.translationService.translate('The link could not be created.', this.currentLanguage);
+                return;
+            }
+            // Clipboard access can be denied; let the user copy the link by hand
+            window.prompt('Copy this link:', link);
+        }
+    }
+
+    handleProviderChange(providerName) {
+        this.stopResponse();
+        this.aiService.setProvider(providerName);
     }
 
     async handleLanguageChange(language) {
         this.currentLanguage = language;
+        this.locale.apply(language);
+        this.router.navigate({ ...this.router.parse(), lang: language }, { replace: true });
         
         // Show loading indicator
         const loadingIndicator = document.createElement('div');
@@ -71,15 +508,28 @@ class App {
         try {
             // Translate all elements with data-translate attribute
             await this.translationService.translatePage(language);
+            // Translation replaces the highlighted text and adds new text to search
+            this.goalSearch.apply();
 
-            // Also translate any existing AI response
+            // Also translate a shown answer. Messages and spinners have no original text, and an answer
+            // still being generated is left alone so its stream keeps writing into the page.
             const aiResponse = document.getElementById('aiResponse');
-            if (aiResponse && aiResponse.textContent.trim() !== '' && 
-                !aiResponse.textContent.includes('Select a prompt')) {
-                const originalResponse = aiResponse.getAttribute('data-original-text') || aiResponse.textContent;
-                aiResponse.setAttribute('data-original-text', originalResponse);
-                const translatedResponse = await this.translationService.translate(originalResponse, language);
-                aiResponse.innerHTML = `<div class="ai-response-content">${translatedResponse.replace(/\n/g, '<br>')}</div>`;
+            const isShown = (text) => aiResponse.getAttribute('aria-busy') !== 'true'
+                && aiResponse.getAttribute('data-original-text') === text;
+            const originalResponse = aiResponse.getAttribute('data-original-text');
+            if (originalResponse && isShown(originalResponse)) {
+                const originalLanguage = aiResponse.getAttribute('data-original-language') || 'en';
+                const translatingText = await this.translationService.translate('Translating response...', language);
+                const onProgress = ({ completed, total }) => {
+                    loadingIndicator.textContent = `${translatingText} (${completed}/${total})`;
+                };
+                const translatedResponse = aiResponse.hasAttribute('data-shared')
+                    ? await this.translateSharedAnswer(originalResponse, originalLanguage, language, onProgress)
+                    : await this.translateResponse(originalResponse, originalLanguage, language, onProgress);
+                // A question asked in the meantime owns the response area
+                if (isShown(originalResponse)) {
+                    this.renderResponse(aiResponse, translatedResponse);
+                }
             }
         } catch (error) {
             console.error('Translation error:', error);
@@ -88,54 +538,368 @@ class App {
         }
     }
 
+    getConversation(goalId) {
+        if (!this.conversations.has(goalId)) {
+            this.conversations.set(goalId, []);
+        }
+        return this.conversations.get(goalId);
+    }
+
+    // Adds a question and its answer to the goal's conversation unless they already are its last turn,
+    // as when the same saved answer is opened twice. Returns whether they were added.
+    addExchange(goalId, prompt, text) {
+        const history = this.getConversation(goalId);
+        const [question, answer] = history.slice(-2);
+        if (question?.role === 'user' && question.text === prompt && answer?.role === 'model' && answer.text === text) {
+            return false;
+        }
+        history.push({ role: 'user', text: prompt }, { role: 'model', text });
+        return true;
+    }
+
+    appendChatMessage(goalId, role, text) {
+        const thread = document.getElementById(`chat-thread-${goalId}`);
+        if (!thread) return;
+
+        const message = document.createElement('div');
+        message.className = `chat-message chat-message-${role}`;
+        message.setAttribute('dir', 'auto');
+        if (role === 'model') {
+            message.innerHTML = this.markdownRenderer.render(text);
+        } else {
+            message.textContent = text;
+        }
+        thread.appendChild(message);
+        thread.scrollTop = thread.scrollHeight;
+        return message;
+    }
+
+    // A question that got no answer stays in the thread, marked, because only answered turns are
+    // sent with follow-up questions
+    async markUnanswered(message) {
+        if (!message) return;
+
+        const status = document.createElement('span');
+        status.className = 'chat-message-status';
+        status.setAttribute('data-translate', '');
+        status.setAttribute('data-original-text', 'Not answered');
+        status.textContent = await this.translationService.translate('Not answered', this.currentLanguage);
+        message.classList.add('chat-message-unanswered');
+        message.appendChild(status);
+    }
+
+    // Uses the AI model for translation when it answers in the selected language, and the
+    // translation service as a fallback (it can only translate from English)
+    async translateResponse(text, fromLanguage, toLanguage, onProgress) {
+        if (fromLanguage === toLanguage) return text;
+
+        if (this.aiService.answersInLanguage()) {
+            try {
+                return await this.aiService.translateText(text, toLanguage);
+            } catch (error) {
+                console.error('Model translation failed, falling back to translation service:', error);
+            }
+        }
+
+        if (fromLanguage !== 'en') return text;
+        return this.translationService.translateMarkdown(text, toLanguage, onProgress);
+    }
+
+    // Shared answers only go to the translation service: sent to the model, the text could carry
+    // instructions for it, and whoever opens the link would pay for the call
+    async translateSharedAnswer(text, fromLanguage, toLanguage, onProgress) {
+        if (fromLanguage === toLanguage || fromLanguage !== 'en') return text;
+        return this.translationService.translateMarkdown(text, toLanguage, onProgress);
+    }
+
+    renderResponse(container, markdown) {
+        container.innerHTML = `<div class="ai-response-content">${this.markdownRenderer.render(markdown)}</div>`;
+    }
+
+    // The shown answer's original text, which a language change translates again
+    keepOriginal(container, text, language, { shared = false } = {}) {
+        container.setAttribute('data-original-text', text);
+        container.setAttribute('data-original-language', language);
+        container.toggleAttribute('data-shared', shared);
+    }
+
+    // Messages replace the answer, so its original text goes too and a language change leaves them be
+    forgetAnswer(container) {
+        container.removeAttribute('data-original-text');
+        container.removeAttribute('data-original-language');
+        container.removeAttribute('data-shared');
+    }
+
+    renderNotice(container, text, variant) {
+        this.forgetAnswer(container);
+        container.innerHTML = `<div class="alert alert-${variant}" data-translate>${this.markdownRenderer.escapeHtml(text)}</div>`;
+    }
+
+    // Progress updates are shown but only announced when asked, so screen readers do not read every count
+    renderStatus(container, text, { announce = true } = {}) {
+        this.forgetAnswer(container);
+        container.innerHTML = `
+            <div class="spinner-border text-primary" aria-hidden="true"></div>
+            <span data-translate>${this.markdownRenderer.escapeHtml(text)}</span>
+        `;
+        if (announce) {
+            this.announce(text);
+        }
+    }
+
+    // Message and remediation hint for the error type (see AI_ERROR_MESSAGES), followed by the technical detail
+    async renderError(container, error) {
+        const { message, hint } = AI_ERROR_MESSAGES[error.type] || AI_ERROR_MESSAGES.unknown;
+        const [translatedMessage, translatedHint] = await Promise.all([message, hint].map(text =>
+            text ? this.translationService.translate(text, this.currentLanguage) : ''));
+        const escape = text => this.markdownRenderer.escapeHtml(text);
+
+        this.forgetAnswer(container);
+        container.innerHTML = `
+            <div class="alert alert-danger" data-error-type="${escape(error.type || 'unknown')}">
+                <p class="mb-1" data-translate data-original-text="${escape(message)}">${escape(translatedMessage)}</p>
+                ${hint ? `<p class="mb-1 small" data-translate data-original-text="${escape(hint)}">${escape(translatedHint)}</p>` : ''}
+                ${error.message ? `<p class="mb-0 small font-monospace text-break">${escape(error.message)}</p>` : ''}
+            </div>
+        `;
+        this.announce(translatedHint ? `${translatedMessage} ${translatedHint}` : translatedMessage);
+    }
+
+    // Polite live region for progress and finished answers; cleared first so a repeated message is read again
+    announce(text) {
+        const liveStatus = document.getElementById('liveStatus');
+        liveStatus.textContent = '';
+        setTimeout(() => {
+            liveStatus.textContent = text;
+        }, 100);
+    }
+
+    // Moves keyboard and screen reader focus to the answer after a prompt is chosen
+    focusResponse() {
+        const responseContainer = document.getElementById('aiResponse');
+        responseContainer.focus({ preventScroll: true });
+        responseContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // Arrow keys, Home and End move between the visible goals and select them
+    handleGoalNavKeydown(e) {
+        const keys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'];
+        if (!keys.includes(e.key) || !e.target.matches('[role="tab"]')) return;
+
+        // Handled in the capture phase, so Bootstrap's own tab key handler does not move a second time
+        e.preventDefault();
+        e.stopPropagation();
+
+        const tabs = Array.from(document.querySelectorAll('#goals-nav [role="tab"]:not(.d-none)'));
+        const index = tabs.indexOf(e.target);
+        const forwardKey = this.locale.isRtl(this.currentLanguage) ? 'ArrowLeft' : 'ArrowRight';
+        let next;
+
+        if (e.key === 'Home') {
+            next = tabs[0];
+        } else if (e.key === 'End') {
+            next = tabs[tabs.length - 1];
+        } else {
+            const step = e.key === 'ArrowDown' || e.key === forwardKey ? 1 : -1;
+            next = tabs[(index + step + tabs.length) % tabs.length];
+        }
+
+        if (next) {
+            next.focus();
+            this.showGoal(Number(next.getAttribute('aria-controls').replace('goal-', '')));
+        }
+    }
+
+    stopResponse() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    // options are passed on to AIService.streamResponse (goalId, onRetry, search, onGrounding)
+    async streamAnswer(prompt, language, history, responseContainer, options) {
+        const stopButton = document.getElementById('stopButton');
+        this.stopResponse();
+        const controller = new AbortController();
+        this.abortController = controller;
+        stopButton.classList.remove('d-none');
+
+        let content = null;
+        let streamedText = '';
+
+        try {
+            return await this.aiService.streamResponse(prompt, language, history, (chunk) => {
+                if (!content) {
+                    responseContainer.classList.remove('loading');
+                    responseContainer.innerHTML = '<div class="ai-response-content"></div>';
+                    content = responseContainer.querySelector('.ai-response-content');
+                }
+                streamedText += chunk;
+                content.innerHTML = this.markdownRenderer.render(streamedText);
+            }, controller.signal, options);
+        } catch (error) {
+            // Keep whatever arrived before the user pressed Stop, but not when a newer question stopped it
+            if (error.name === 'AbortError' && streamedText && this.abortController === controller) {
+                return streamedText;
+            }
+            throw error;
+        } finally {
+            // A newer question has already installed its own controller and shown the Stop button
+            if (this.abortController === controller) {
+                stopButton.classList.add('d-none');
+                this.abortController = null;
+            }
+        }
+    }
+
+    async handleChatSubmit(form) {
+        const input = form.querySelector('.chat-input');
+        const question = input.value.trim();
+        if (!question) return;
+
+        input.value = '';
+        const goalId = Number(form.getAttribute('data-goal-id'));
+        await this.askQuestion(goalId, question);
+    }
+
     async handlePromptClick(button) {
         const prompt = button.getAttribute('data-original-text') || button.textContent;
+        const goalId = Number(button.getAttribute('data-goal-id'));
+        const promptIndex = Number(button.getAttribute('data-prompt-index'));
+        this.router.navigate({ goalId, promptIndex, lang: this.currentLanguage });
+        this.focusResponse();
+        await this.askQuestion(goalId, prompt);
+    }
+
+    async handleTargetPromptClick(button) {
+        const goalId = Number(button.getAttribute('data-goal-id'));
+        const prompt = this.goalsManager.buildTargetPrompt(goalId, button.getAttribute('data-target-code'));
+        if (prompt) {
+            this.focusResponse();
+            await this.askQuestion(goalId, prompt);
+        }
+    }
+
+    // Queued prompts keep the language they were asked in and already have their message in the thread
+    async askQuestion(goalId, prompt, { language = this.currentLanguage, fromQueue = false } = {}) {
+        const history = this.getConversation(goalId);
+        // The model gets the question wrapped in the goal's template; the thread and library keep the question
+        const request = this.settings.get('goalContext')
+            ? this.goalsManager.buildContextPrompt(goalId, prompt, this.settings.getTemplate(goalId))
+            : prompt;
+        const answeredInLanguage = this.aiService.answersInLanguage();
         const responseContainer = document.getElementById('aiResponse');
         const responseTitle = document.getElementById('responseTitle');
+        const questionNumber = ++this.questionCount;
+        const isSuperseded = () => questionNumber !== this.questionCount;
 
         // Show loading state
         responseContainer.classList.add('loading');
+        responseContainer.setAttribute('aria-busy', 'true');
         const loadingText = await this.translationService.translate('Generating response...', this.currentLanguage);
-        responseContainer.innerHTML = `
-            <div class="spinner-border text-primary" role="status">
-                <span class="visually-hidden" data-translate>Loading...</span>
-            </div> 
-            <span data-translate>${loadingText}</span>
-        `;
+        this.renderStatus(responseContainer, loadingText);
+        let userMessage = null;
 
         try {
-            // Get AI response
-            const response = await this.aiService.generateResponse(prompt);
+            // Get AI response, sending the earlier turns of this goal's thread as context
+            if (!fromQueue) {
+                userMessage = this.appendChatMessage(goalId, 'user', prompt);
+            }
+            const grounding = await this.grounding.prepare(goalId, request, prompt);
+            const options = {
+                goalId,
+                search: grounding.search,
+                onGrounding: (metadata) => grounding.citations.addSearchMetadata(metadata),
+                onRetry: async ({ attempt, retries }) => {
+                    const retryingText = await this.translationService.translate('Retrying...', this.currentLanguage);
+                    this.renderStatus(responseContainer, `${retryingText} (${attempt}/${retries})`);
+                }
+            };
+            const answer = CONFIG.STREAM_RESPONSES
+                ? await this.streamAnswer(grounding.prompt, language, history, responseContainer, options)
+                : await this.aiService.generateResponse(grounding.prompt, language, history, options);
+            // Numbered citations and the list of sources become part of the answer, so they are saved,
+            // translated and exported with it
+            const response = grounding.citations.apply(answer);
+            history.push({ role: 'user', text: prompt }, { role: 'model', text: response });
+
+            // A newer question owns the response area; keep this answer in its thread and the library only
+            if (isSuperseded()) {
+                const translated = answeredInLanguage || language === 'en'
+                    ? response
+                    : await this.translationService.translateMarkdown(response, language);
+                this.appendChatMessage(goalId, 'model', translated);
+                await this.library.save({
+                    goalId,
+                    prompt,
+                    language: answeredInLanguage ? language : 'en',
+                    text: response,
+                    provider: this.aiService.provider.name,
+                    model: this.aiService.getModel(),
+                    ...(translated !== response && { translatedText: translated, translatedLanguage: language })
+                });
+                return;
+            }
             
-            // Store original response and translate
-            responseContainer.setAttribute('data-original-text', response);
+            // It only needs translating when the model answered in English
             let translatedResponse = response;
             
-            if (this.currentLanguage !== 'en') {
-                const translatingText = await this.translationService.translate('Translating response...', this.currentLanguage);
-                responseContainer.innerHTML = `
-                    <div class="spinner-border text-primary" role="status">
-                        <span class="visually-hidden" data-translate>Loading...</span>
-                    </div> 
-                    <span data-translate>${translatingText}</span>
-                `;
-                translatedResponse = await this.translationService.translate(response, this.currentLanguage);
-            }
-
-            // Update the response container
-            responseContainer.innerHTML = `<div class="ai-response-content">${translatedResponse.replace(/\n/g, '<br>')}</div>`;
+            if (!answeredInLanguage && language !== 'en') {
+                const translatingText = await this.translationService.translate('Translating response...', language);
+                this.renderStatus(responseContainer, translatingText);
+                translatedResponse = await this.translationService.translateMarkdown(response, language, ({ completed, total }) => {
+                    this.renderStatus(responseContainer, `${translatingText} (${completed}/${total})`, { announce: false });
+                });
+            }
+
+            // Update the response container, keeping the original for language changes
+            this.keepOriginal(responseContainer, response, answeredInLanguage ? language : 'en');
+            this.renderResponse(responseContainer, translatedResponse);
+            this.appendChatMessage(goalId, 'model', translatedResponse);
+            this.announce(await this.translationService.translate('Answer ready.', this.currentLanguage));
+            this.currentAnswer = {
+                goalId,
+                prompt,
+                language: answeredInLanguage ? language : 'en',
+                text: response
+            };
+            document.getElementById('shareButton').classList.remove('d-none');
+
+            await this.library.save({
+                ...this.currentAnswer,
+                provider: this.aiService.provider.name,
+                model: this.aiService.getModel(),
+                ...(translatedResponse !== response && { translatedText: translatedResponse, translatedLanguage: language })
+            });
             
         } catch (error) {
+            if (error.name === 'AbortError' && isSuperseded()) {
+                await this.markUnanswered(userMessage);
+                return;
+            }
+            if (error.name === 'AbortError') {
+                const stoppedMessage = await this.translationService.translate('Response stopped.', this.currentLanguage);
+                this.renderNotice(responseContainer, stoppedMessage, 'secondary');
+                this.announce(stoppedMessage);
+                await this.markUnanswered(userMessage);
+                return;
+            }
+            if (this.offline.isNetworkError(error) && (fromQueue || !this.offline.isOnline())) {
+                await this.answerOffline(goalId, prompt, language);
+                // Let the queue keep this prompt for the next reconnect
+                if (fromQueue) throw error;
+                return;
+            }
             console.error('Error:', error);
-            const errorMessage = await this.translationService.translate('Error generating response. Please try again.', this.currentLanguage);
-            responseContainer.innerHTML = `<div class="alert alert-danger" data-translate>${errorMessage}</div>`;
+            if (!isSuperseded()) {
+                await this.renderError(responseContainer, error);
+            }
+            await this.markUnanswered(userMessage);
         } finally {
-            responseContainer.classList.remove('loading');
+            if (!isSuperseded()) {
+                responseContainer.classList.remove('loading');
+                responseContainer.setAttribute('aria-busy', 'false');
+            }
         }
     }
 }
-
-// Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new App();
-});
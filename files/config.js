@@ -1,4 +1,46 @@
-const CONFIG = {
-    GEMINI_API_KEY: 'Secret_Key',
-    GEMINI_API_URL: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent'
+export const CONFIG = {
+    // 'gemini', 'openai' (any OpenAI-compatible chat completions API) or 'ollama'
+    AI_PROVIDER: 'gemini',
+    // Gemini is reached through the server proxy; the API key lives in the server environment
+    GEMINI_API_URL: '/api/generate',
+    // Default model; the settings panel offers GEMINI_MODELS, which must also be allowed by the server
+    GEMINI_MODEL: 'gemini-2.0-flash',
+    GEMINI_MODELS: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-pro'],
+    STREAM_RESPONSES: true,
+    // Network errors, rate limits and 5xx responses are retried with exponential backoff
+    AI_MAX_RETRIES: 2,
+    AI_RETRY_DELAY_MS: 1000,
+    // 'model' asks the AI to answer in the selected language, 'service' translates English answers afterwards
+    TRANSLATION_MODE: 'model',
+    // 'mymemory', 'google' (Cloud Translation v2), 'deepl' or 'libretranslate'
+    TRANSLATION_BACKEND: 'mymemory',
+    // Google and DeepL are reached through the server proxy; their API keys live in the server environment
+    TRANSLATE_API_URL: '/api/translate',
+    LIBRETRANSLATE_URL: 'http://localhost:5000',
+    LIBRETRANSLATE_API_KEY: '',
+    OPENAI_API_KEY: '',
+    OPENAI_API_URL: 'https://api.openai.com/v1/chat/completions',
+    OPENAI_MODEL: 'gpt-4o-mini',
+    OPENAI_MODELS: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+    OLLAMA_API_URL: 'http://localhost:11434/api/chat',
+    OLLAMA_MODEL: 'llama3.1',
+    OLLAMA_MODELS: ['llama3.1', 'llama3.2', 'mistral', 'gemma2', 'qwen2.5'],
+    // US dollars per million input and output tokens, for the cost estimates in the usage panel.
+    // Models not listed here, such as the local Ollama models, count as free.
+    MODEL_PRICES: {
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        'gpt-4o': { input: 2.50, output: 10.00 },
+        'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+        'gpt-4.1': { input: 2.00, output: 8.00 }
+    },
+    // Wraps questions with the goal's title, description and targets when goal context is switched on
+    // in the settings, where each goal can also get its own template
+    PROMPT_TEMPLATE: 'Context: UN Sustainable Development Goal {goalNumber}, "{goalTitle}": {goalDescription}.\n'
+        + 'Official targets of this goal:\n{targets}\n\n'
+        + 'Answer the following question in the context of this goal and refer to the relevant targets by number.\n\n'
+        + 'Question: {question}'
 };
@@ -0,0 +1,343 @@
+// Writes uncompressed zip archives. Enough for DOCX files, which Word opens with or without compression.
+class ZipWriter {
+    static crcTable = null;
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    constructor(date = new Date()) {
+        this.files = [];
+        // MS-DOS date and time, as stored in zip headers
+        this.dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        this.dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+
+    addFile(name, content) {
+        const encoder = new TextEncoder();
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        this.files.push({ name: encoder.encode(name), data, crc: ZipWriter.crc32(data) });
+    }
+
+    // Fields shared by the local file header and the central directory entry
+    writeEntryFields(view, offset, file) {
+        view.setUint16(offset, 20, true);               // version needed to extract
+        view.setUint16(offset + 2, 0x0800, true);       // UTF-8 file names
+        view.setUint16(offset + 4, 0, true);            // stored, no compression
+        view.setUint16(offset + 6, this.dosTime, true);
+        view.setUint16(offset + 8, this.dosDate, true);
+        view.setUint32(offset + 10, file.crc, true);
+        view.setUint32(offset + 14, file.data.length, true);
+        view.setUint32(offset + 18, file.data.length, true);
+        view.setUint16(offset + 22, file.name.length, true);
+        view.setUint16(offset + 24, 0, true);           // extra field length
+    }
+
+    toBytes() {
+        const localSize = this.files.reduce((sum, file) => sum + 30 + file.name.length + file.data.length, 0);
+        const centralSize = this.files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        const offsets = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034B50, true);
+            this.writeEntryFields(view, offset + 4, file);
+            bytes.set(file.name, offset + 30);
+            bytes.set(file.data, offset + 30 + file.name.length);
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        this.files.forEach((file, index) => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);       // version made by
+            this.writeEntryFields(view, offset + 6, file);
+            // Comment length, disk number and file attributes stay zero
+            view.setUint32(offset + 42, offsets[index], true);
+            bytes.set(file.name, offset + 46);
+            offset += 46 + file.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, this.files.length, true);
+        view.setUint16(offset + 10, this.files.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, localSize, true);
+
+        return bytes;
+    }
+
+    toBlob(type = 'application/zip') {
+        return new Blob([this.toBytes()], { type });
+    }
+}
+
+// Builds a Word document from the HTML produced by MarkdownRenderer. Headings, paragraphs,
+// lists, tables, quotes and code are kept; links are written as "label (url)".
+export class DocxDocument {
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    constructor({ title = '', language = 'en' } = {}) {
+        this.title = title;
+        this.language = language;
+        this.body = [];
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Hebrew, Arabic and related scripts need right-to-left paragraphs in Word
+    isRtlText(text) {
+        return /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/.test(text);
+    }
+
+    run({ text = '', bold = false, italic = false, strike = false, code = false, superscript = false, lineBreak = false }) {
+        if (lineBreak) return '<w:r><w:br/></w:r>';
+
+        const properties = [
+            code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' : '',
+            bold ? '<w:b/><w:bCs/>' : '',
+            italic ? '<w:i/><w:iCs/>' : '',
+            strike ? '<w:strike/>' : '',
+            superscript ? '<w:vertAlign w:val="superscript"/>' : '',
+            this.isRtlText(text) ? '<w:rtl/>' : ''
+        ].join('');
+        const rPr = properties ? `<w:rPr>${properties}</w:rPr>` : '';
+        return `<w:r>${rPr}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`;
+    }
+
+    paragraph(runs, { style = null, indent = 0, hanging = 0, border = false } = {}) {
+        const text = runs.map(run => run.text || '').join('');
+        const properties = [
+            style ? `<w:pStyle w:val="${style}"/>` : '',
+            border ? '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>' : '',
+            this.isRtlText(text) ? '<w:bidi/>' : '',
+            indent ? `<w:ind w:left="${indent}" w:hanging="${hanging}"/>` : ''
+        ].join('');
+        const pPr = properties ? `<w:pPr>${properties}</w:pPr>` : '';
+        return `<w:p>${pPr}${runs.map(run => this.run(run)).join('')}</w:p>`;
+    }
+
+    addParagraph(text, options = {}) {
+        this.body.push(this.paragraph([{ text }], options));
+    }
+
+    addHtml(html) {
+        const root = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html').body;
+        Array.from(root.childNodes).forEach(node => this.body.push(...this.convertBlock(node)));
+    }
+
+    // Flattens inline HTML into runs that carry their formatting
+    collectRuns(node, format = {}) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent ? [{ ...format, text: node.textContent }] : [];
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'br') return [{ lineBreak: true }];
+
+        const childFormat = {
+            ...format,
+            bold: format.bold || tag === 'strong' || tag === 'b' || tag === 'th',
+            italic: format.italic || tag === 'em' || tag === 'i',
+            strike: format.strike || tag === 'del',
+            code: format.code || tag === 'code',
+            superscript: format.superscript || tag === 'sup'
+        };
+        const runs = Array.from(node.childNodes).flatMap(child => this.collectRuns(child, childFormat));
+
+        // Citation numbers are not followed by their URL; the list of sources has it
+        if (tag === 'a' && !node.closest('.citation')) {
+            const href = node.getAttribute('href');
+            if (href && href !== node.textContent) {
+                runs.push({ ...format, text: ` (${href})` });
+            }
+        }
+        return runs;
+    }
+
+    // context.indent is in twentieths of a point; context.style is set inside block quotes
+    convertBlock(node, context = { indent: 0, style: null }) {
+        const { indent, style } = context;
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.textContent.trim();
+            return text ? [this.paragraph([{ text }], { style, indent })] : [];
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+        const tag = node.tagName.toLowerCase();
+        const heading = tag.match(/^h([1-6])$/);
+
+        if (heading) {
+            return [this.paragraph(this.collectRuns(node), { style: `Heading${heading[1]}`, indent })];
+        }
+        if (tag === 'p') {
+            return [this.paragraph(this.collectRuns(node), { style, indent })];
+        }
+        if (tag === 'hr') {
+            return [this.paragraph([], { border: true, indent })];
+        }
+        if (tag === 'pre') {
+            const lines = node.textContent.replace(/\n$/, '').split('\n');
+            const runs = lines.flatMap((line, index) => index > 0 ? [{ lineBreak: true }, { text: line }] : [{ text: line }]);
+            return [this.paragraph(runs, { style: 'Code', indent })];
+        }
+        if (tag === 'blockquote') {
+            return Array.from(node.childNodes).flatMap(child => this.convertBlock(child, { indent: indent + 720, style: 'Quote' }));
+        }
+        if (tag === 'ul' || tag === 'ol') {
+            return this.convertList(node, indent);
+        }
+        if (tag === 'table') {
+            return [this.convertTable(node)];
+        }
+        return Array.from(node.childNodes).flatMap(child => this.convertBlock(child, context));
+    }
+
+    convertList(list, indent) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        let number = Number(list.getAttribute('start')) || 1;
+
+        return Array.from(list.children).flatMap(item => {
+            const nested = Array.from(item.children).filter(child => /^(ul|ol)$/i.test(child.tagName));
+            const runs = Array.from(item.childNodes)
+                .filter(child => !nested.includes(child))
+                .flatMap(child => this.collectRuns(child));
+            number = Number(item.getAttribute('value')) || number;
+            const marker = ordered ? `${number++}. ` : '• ';
+
+            return [
+                this.paragraph([{ text: marker }, ...runs], { style: 'ListParagraph', indent: indent + 360, hanging: 360 }),
+                ...nested.flatMap(child => this.convertList(child, indent + 360))
+            ];
+        });
+    }
+
+    convertTable(table) {
+        const rows = Array.from(table.querySelectorAll('tr'));
+        const columns = Math.max(1, ...rows.map(row => row.children.length));
+        const width = Math.floor(9000 / columns);
+        const grid = `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>`;
+
+        const body = rows.map(row => `<w:tr>${Array.from(row.children).map(cell =>
+            `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${this.paragraph(this.collectRuns(cell))}</w:tc>`
+        ).join('')}</w:tr>`).join('');
+
+        return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>${grid}${body}</w:tbl>`;
+    }
+
+    buildDocumentXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+            + this.body.join('')
+            + '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>'
+            + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/>'
+            + '</w:sectPr></w:body></w:document>';
+    }
+
+    buildStylesXml() {
+        const headingSizes = [32, 28, 26, 24, 22, 22];
+        const headings = headingSizes.map((size, index) => `
+            <w:style w:type="paragraph" w:styleId="Heading${index + 1}">
+                <w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+                <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${index}"/></w:pPr>
+                <w:rPr><w:b/><w:bCs/><w:color w:val="1F3864"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr>
+            </w:style>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+            <w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+                <w:docDefaults>
+                    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Arial"/>
+                        <w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="${this.escapeXml(this.language)}"/></w:rPr></w:rPrDefault>
+                    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+                </w:docDefaults>
+                <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+                ${headings}
+                <w:style w:type="paragraph" w:styleId="Quote">
+                    <w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+                    <w:rPr><w:i/><w:iCs/><w:color w:val="595959"/></w:rPr>
+                </w:style>
+                <w:style w:type="paragraph" w:styleId="Code">
+                    <w:name w:val="Code"/><w:basedOn w:val="Normal"/>
+                    <w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F1F3F5"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>
+                    <w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr>
+                </w:style>
+                <w:style w:type="paragraph" w:styleId="ListParagraph">
+                    <w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+                    <w:pPr><w:spacing w:after="40"/></w:pPr>
+                </w:style>
+                <w:style w:type="table" w:styleId="TableGrid">
+                    <w:name w:val="Table Grid"/>
+                    <w:tblPr><w:tblBorders>
+                        <w:top w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+                        <w:left w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+                        <w:bottom w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+                        <w:right w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+                        <w:insideH w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+                        <w:insideV w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+                    </w:tblBorders></w:tblPr>
+                </w:style>
+            </w:styles>`.replace(/>\s+</g, '><');
+    }
+
+    buildCorePropertiesXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"'
+            + ' xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/"'
+            + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+            + `<dc:title>${this.escapeXml(this.title)}</dc:title>`
+            + `<dc:language>${this.escapeXml(this.language)}</dc:language>`
+            + `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>`
+            + '</cp:coreProperties>';
+    }
+
+    toBlob() {
+        const zip = new ZipWriter();
+        zip.addFile('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+            + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+            + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+            + '</Types>');
+        zip.addFile('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+            + '</Relationships>');
+        zip.addFile('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>');
+        zip.addFile('word/document.xml', this.buildDocumentXml());
+        zip.addFile('word/styles.xml', this.buildStylesXml());
+        zip.addFile('docProps/core.xml', this.buildCorePropertiesXml());
+        return zip.toBlob(DocxDocument.MIME_TYPE);
+    }
+}
@@ -0,0 +1,165 @@
+// Filters the goals list and prompt buttons by free text and theme. Text is matched against the
+// English goal data and the cached translations for the current language, and matches are highlighted.
+export class GoalSearch {
+    constructor({ goalsManager, translationService, getLanguage }) {
+        this.goalsManager = goalsManager;
+        this.translationService = translationService;
+        this.getLanguage = getLanguage;
+        this.query = '';
+        this.themes = new Set();
+        this.searchTimer = null;
+    }
+
+    initialize() {
+        document.getElementById('goalSearch').addEventListener('input', (e) => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.query = e.target.value;
+                this.apply();
+            }, 150);
+        });
+
+        document.getElementById('goals-nav').addEventListener('shown.bs.tab', () => this.updateTabOrder());
+
+        document.getElementById('themeFilter').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-theme]');
+            if (!button) return;
+
+            const theme = button.getAttribute('data-theme');
+            if (this.themes.has(theme)) {
+                this.themes.delete(theme);
+            } else {
+                this.themes.add(theme);
+            }
+            button.classList.toggle('active', this.themes.has(theme));
+            button.setAttribute('aria-pressed', String(this.themes.has(theme)));
+            this.apply();
+        });
+    }
+
+    // Case- and accent-insensitive, so "educacion" finds "Educación"
+    normalize(text) {
+        return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
+    getTerms() {
+        return this.normalize(this.query).split(/\s+/).filter(term => term);
+    }
+
+    // The English text plus its cached translation, normalized for matching
+    getSearchTexts(text) {
+        const translated = this.translationService.getCachedTranslation(text, this.getLanguage());
+        return [text, translated].filter(value => value).map(value => this.normalize(value));
+    }
+
+    matchesAny(texts, terms) {
+        return terms.some(term => texts.some(text => text.includes(term)));
+    }
+
+    // A goal matches when every term is found in its title, description or one of its prompts
+    matchGoal(goal, terms) {
+        const headerTexts = [...this.getSearchTexts(goal.title), ...this.getSearchTexts(goal.description)];
+        const promptTexts = goal.prompts.map(prompt => this.getSearchTexts(prompt));
+        const allTexts = headerTexts.concat(...promptTexts);
+
+        return {
+            matches: terms.every(term => allTexts.some(text => text.includes(term))),
+            headerMatches: this.matchesAny(headerTexts, terms),
+            prompts: promptTexts.map(texts => this.matchesAny(texts, terms))
+        };
+    }
+
+    apply() {
+        const terms = this.getTerms();
+        let visibleGoals = 0;
+
+        this.goalsManager.goals.forEach(goal => {
+            const navItem = document.querySelector(`#goals-nav [data-bs-target="#goal-${goal.id}"]`);
+            const panel = document.getElementById(`goal-${goal.id}`);
+            if (!navItem || !panel) return;
+
+            const inTheme = this.themes.size === 0 || goal.themes.some(theme => this.themes.has(theme));
+            const result = terms.length > 0 ? this.matchGoal(goal, terms) : null;
+            const visible = inTheme && (!result || result.matches);
+
+            navItem.classList.toggle('d-none', !visible);
+            if (visible) visibleGoals++;
+
+            // Prompts are narrowed down unless the goal itself matched on its title or description
+            panel.querySelectorAll('.prompt-button').forEach(button => {
+                const index = Number(button.getAttribute('data-prompt-index'));
+                const hidden = Boolean(result && result.matches && !result.headerMatches && !result.prompts[index]);
+                button.classList.toggle('d-none', hidden);
+            });
+
+            [navItem.querySelector('[data-translate]'), ...panel.querySelectorAll('.card-title, .card-text, .prompt-button')]
+                .forEach(element => this.highlight(element, visible ? terms : []));
+        });
+
+        this.updateTabOrder();
+        this.updateStatus(visibleGoals);
+    }
+
+    // Keeps one goal reachable with Tab when the selected goal is filtered out
+    updateTabOrder() {
+        const tabs = Array.from(document.querySelectorAll('#goals-nav [role="tab"]'));
+        const visibleTabs = tabs.filter(tab => !tab.classList.contains('d-none'));
+        const selectedVisible = visibleTabs.some(tab => tab.getAttribute('aria-selected') === 'true');
+
+        tabs.forEach(tab => {
+            const reachable = selectedVisible ? tab.getAttribute('aria-selected') === 'true' : tab === visibleTabs[0];
+            tab.setAttribute('tabindex', reachable ? '0' : '-1');
+        });
+    }
+
+    async updateStatus(visibleGoals) {
+        const status = document.getElementById('goalSearchStatus');
+        status.textContent = visibleGoals === 0
+            ? await this.translationService.translate('No goals match your search.', this.getLanguage())
+            : '';
+    }
+
+    // Wraps matches of the displayed (possibly translated) text in <mark> elements
+    highlight(element, terms) {
+        if (!element) return;
+
+        const text = element.textContent;
+        element.textContent = text;
+        if (terms.length === 0) return;
+
+        // Normalize character by character so match positions map back to the original text
+        const offsets = [];
+        let normalized = '';
+        let offset = 0;
+        for (const char of text) {
+            const value = this.normalize(char);
+            for (let i = 0; i < value.length; i++) offsets.push(offset);
+            normalized += value;
+            offset += char.length;
+        }
+        offsets.push(text.length);
+
+        const ranges = [];
+        terms.forEach(term => {
+            for (let index = normalized.indexOf(term); index !== -1; index = normalized.indexOf(term, index + term.length)) {
+                ranges.push([offsets[index], offsets[index + term.length]]);
+            }
+        });
+        if (ranges.length === 0) return;
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (start < position) start = position;
+            if (end <= start) return;
+            fragment.append(text.slice(position, start));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            fragment.append(mark);
+            position = end;
+        });
+        fragment.append(text.slice(position));
+        element.replaceChildren(fragment);
+    }
+}
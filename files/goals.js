@@ -1,8 +1,10 @@
-const GOALS = [
+// Each goal carries its theme from the five Ps of Agenda 2030: people, planet, prosperity, peace and partnership
+export const GOALS = [
     {
         id: 1,
         title: "No Poverty",
         description: "End poverty in all its forms everywhere",
+        themes: ["people"],
         prompts: [
             "What are innovative solutions to eliminate extreme poverty?",
             "How can technology help reduce poverty in rural areas?",
@@ -15,6 +17,7 @@ const GOALS = [
         id: 2,
         title: "Zero Hunger",
         description: "End hunger, achieve food security and improved nutrition",
+        themes: ["people"],
         prompts: [
             "What are sustainable solutions to end world hunger?",
             "How can we reduce food waste globally?",
@@ -27,6 +30,7 @@ const GOALS = [
         id: 3,
         title: "Good Health and Well-being",
         description: "Ensure healthy lives and promote well-being for all at all ages",
+        themes: ["people"],
         prompts: [
             "How can we improve global healthcare access?",
             "What are effective strategies for disease prevention?",
@@ -39,6 +43,7 @@ const GOALS = [
         id: 4,
         title: "Quality Education",
         description: "Ensure inclusive and equitable quality education for all",
+        themes: ["people"],
         prompts: [
             "How can we make education more accessible globally?",
             "What role does technology play in modern education?",
@@ -51,6 +56,7 @@ const GOALS = [
         id: 5,
         title: "Gender Equality",
         description: "Achieve gender equality and empower all women and girls",
+        themes: ["people"],
         prompts: [
             "How can we promote gender equality in the workplace?",
             "What strategies help eliminate gender-based discrimination?",
@@ -63,6 +69,7 @@ const GOALS = [
         id: 6,
         title: "Clean Water and Sanitation",
         description: "Ensure availability and sustainable management of water and sanitation for all",
+        themes: ["planet"],
         prompts: [
             "What are innovative solutions for clean water access?",
             "How can we improve global sanitation systems?",
@@ -75,6 +82,7 @@ const GOALS = [
         id: 7,
         title: "Affordable and Clean Energy",
         description: "Ensure access to affordable, reliable, sustainable and modern energy",
+        themes: ["prosperity"],
         prompts: [
             "How can we transition to renewable energy sources?",
             "What are innovative clean energy solutions?",
@@ -87,6 +95,7 @@ const GOALS = [
         id: 8,
         title: "Decent Work and Economic Growth",
         description: "Promote sustained, inclusive and sustainable economic growth",
+        themes: ["prosperity"],
         prompts: [
             "How can we create more sustainable jobs?",
             "What strategies promote inclusive economic growth?",
@@ -99,6 +108,7 @@ const GOALS = [
         id: 9,
         title: "Industry, Innovation and Infrastructure",
         description: "Build resilient infrastructure and promote sustainable industrialization",
+        themes: ["prosperity"],
         prompts: [
             "How can we build more sustainable infrastructure?",
             "What role does innovation play in development?",
@@ -111,6 +121,7 @@ const GOALS = [
         id: 10,
         title: "Reduced Inequalities",
         description: "Reduce inequality within and among countries",
+        themes: ["prosperity"],
         prompts: [
             "How can we reduce economic inequality?",
             "What policies promote social inclusion?",
@@ -123,6 +134,7 @@ const GOALS = [
         id: 11,
         title: "Sustainable Cities and Communities",
         description: "Make cities inclusive, safe, resilient and sustainable",
+        themes: ["prosperity"],
         prompts: [
             "How can we create more sustainable cities?",
             "What makes a city smart and inclusive?",
@@ -135,6 +147,7 @@ const GOALS = [
         id: 12,
         title: "Responsible Consumption and Production",
         description: "Ensure sustainable consumption and production patterns",
+        themes: ["planet"],
         prompts: [
             "How can we promote sustainable consumption?",
             "What are effective recycling strategies?",
@@ -147,6 +160,7 @@ const GOALS = [
         id: 13,
         title: "Climate Action",
         description: "Take urgent action to combat climate change and its impacts",
+        themes: ["planet"],
         prompts: [
             "What are effective climate change solutions?",
             "How can we reduce carbon emissions?",
@@ -159,6 +173,7 @@ const GOALS = [
         id: 14,
         title: "Life Below Water",
         description: "Conserve and sustainably use the oceans, seas and marine resources",
+        themes: ["planet"],
         prompts: [
             "How can we protect marine ecosystems?",
             "What solutions exist for ocean pollution?",
@@ -171,6 +186,7 @@ const GOALS = [
         id: 15,
         title: "Life on Land",
         description: "Protect, restore and promote sustainable use of terrestrial ecosystems",
+        themes: ["planet"],
         prompts: [
             "How can we protect biodiversity?",
             "What are effective forest conservation methods?",
@@ -183,6 +199,7 @@ const GOALS = [
         id: 16,
         title: "Peace, Justice and Strong Institutions",
         description: "Promote peaceful and inclusive societies for sustainable development",
+        themes: ["peace"],
         prompts: [
             "How can we strengthen democratic institutions?",
             "What promotes peace and justice globally?",
@@ -195,6 +212,7 @@ const GOALS = [
         id: 17,
         title: "Partnerships for the Goals",
         description: "Strengthen the means of implementation and revitalize global partnership",
+        themes: ["partnership"],
         prompts: [
             "How can we improve international cooperation?",
             "What makes partnerships more effective?",
@@ -205,26 +223,31 @@ const GOALS = [
     }
 ];
 
-class GoalsManager {
+export class GoalsManager {
     constructor() {
         this.goals = GOALS;
     }
 
+    // WAI-ARIA tab: only the selected goal is in the tab order, the arrow keys move between goals
     createGoalNavItem(goal) {
+        const selected = goal.id === 1;
         const navItem = document.createElement('button');
-        navItem.className = `list-group-item list-group-item-action ${goal.id === 1 ? 'active' : ''}`;
+        navItem.type = 'button';
+        navItem.id = `goal-tab-${goal.id}`;
+        navItem.className = `list-group-item list-group-item-action ${selected ? 'active' : ''}`;
         navItem.setAttribute('data-bs-toggle', 'list');
         navItem.setAttribute('data-bs-target', `#goal-${goal.id}`);
         navItem.setAttribute('role', 'tab');
+        navItem.setAttribute('aria-controls', `goal-${goal.id}`);
+        navItem.setAttribute('aria-selected', String(selected));
+        navItem.setAttribute('tabindex', selected ? '0' : '-1');
         
         const title = goal.title;
         navItem.innerHTML = `
-            <div class="d-flex align-items-center">
-                <div class="goal-number me-3">${goal.id}</div>
-                <div>
-                    <h6 class="mb-0" data-translate data-original-text="${title}">${title}</h6>
-                </div>
-            </div>
+            <span class="d-flex align-items-center">
+                <span class="goal-number me-3" data-number="${goal.id}">${goal.id}</span>
+                <span class="goal-nav-title" data-translate data-original-text="${title}">${title}</span>
+            </span>
         `;
         return navItem;
     }
@@ -234,6 +257,8 @@ class GoalsManager {
         panel.className = `tab-pane fade ${goal.id === 1 ? 'show active' : ''}`;
         panel.id = `goal-${goal.id}`;
         panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', `goal-tab-${goal.id}`);
+        panel.setAttribute('tabindex', '0');
 
         const title = goal.title;
         const description = goal.description;
@@ -243,21 +268,159 @@ class GoalsManager {
                 <div class="card-body">
                     <h4 class="card-title" data-translate data-original-text="${title}">${title}</h4>
                     <p class="card-text" data-translate data-original-text="${description}">${description}</p>
+                    <div class="targets-container" id="targets-${goal.id}"></div>
                     <div class="prompts-container">
                         ${goal.prompts.map((prompt, index) => `
                             <button class="btn btn-outline-primary prompt-button mb-2" 
                                     data-translate
+                                    data-goal-id="${goal.id}"
+                                    data-prompt-index="${index}"
                                     data-original-text="${prompt}">
                                 ${prompt}
                             </button>
                         `).join('')}
                     </div>
+                    <div class="chat-thread mt-3" id="chat-thread-${goal.id}"></div>
+                    <form class="chat-form mt-3" data-goal-id="${goal.id}">
+                        <div class="input-group">
+                            <input type="text" class="form-control chat-input" dir="auto" placeholder="Ask your own question about this goal..."
+                                   aria-label="Ask your own question about this goal">
+                            <button class="btn btn-primary" type="submit" data-translate>Ask</button>
+                        </div>
+                    </form>
                 </div>
             </div>
         `;
         return panel;
     }
 
+    getGoal(goalId) {
+        return this.goals.find(goal => goal.id === goalId);
+    }
+
+    getTarget(goalId, targetCode) {
+        const goal = this.getGoal(goalId);
+        return goal && goal.targets ? goal.targets.find(target => target.code === targetCode) : null;
+    }
+
+    // Targets and indicators are kept in a separate JSON file and merged into GOALS once loaded
+    async loadTargets() {
+        try {
+            const response = await fetch('files/data/sdg-targets.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load SDG targets: ${response.status}`);
+            }
+
+            const data = await response.json();
+            data.goals.forEach(({ id, targets }) => {
+                const goal = this.getGoal(id);
+                if (goal) {
+                    goal.targets = targets;
+                    this.renderTargets(goal);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading SDG targets:', error);
+        }
+    }
+
+    createTextElement(tagName, className, text, translate = true) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (translate) {
+            // Translated only when visible, see TranslationService.isRevealed
+            element.setAttribute('data-translate-lazy', '');
+            element.setAttribute('data-original-text', text);
+        }
+        element.textContent = text;
+        return element;
+    }
+
+    createTargetItem(goal, target) {
+        const item = document.createElement('li');
+        item.className = 'target-item';
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.appendChild(this.createTextElement('span', 'target-code', target.code, false));
+        summary.appendChild(this.createTextElement('span', 'target-title', target.title));
+        details.appendChild(summary);
+
+        if (target.indicators.length > 0) {
+            const indicators = document.createElement('ul');
+            indicators.className = 'indicator-list';
+            target.indicators.forEach(indicator => {
+                const indicatorItem = document.createElement('li');
+                indicatorItem.appendChild(this.createTextElement('span', 'indicator-code', indicator.code, false));
+                indicatorItem.appendChild(this.createTextElement('span', 'indicator-title', indicator.title));
+                indicators.appendChild(indicatorItem);
+            });
+            details.appendChild(indicators);
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary target-prompt-button';
+        button.setAttribute('data-goal-id', goal.id);
+        button.setAttribute('data-target-code', target.code);
+        button.setAttribute('data-translate', '');
+        button.textContent = 'Analyse this target';
+        details.appendChild(button);
+
+        item.appendChild(details);
+        return item;
+    }
+
+    renderTargets(goal) {
+        const container = document.getElementById(`targets-${goal.id}`);
+        if (!container || !goal.targets) return;
+
+        container.innerHTML = `
+            <details class="targets-list mb-3">
+                <summary data-translate>Targets and indicators</summary>
+                <ul class="list-unstyled mt-2 mb-0"></ul>
+            </details>
+        `;
+        const list = container.querySelector('ul');
+        goal.targets.forEach(target => list.appendChild(this.createTargetItem(goal, target)));
+    }
+
+    // The goal shown in the goals list
+    getSelectedGoal() {
+        const tab = document.querySelector('#goals-nav [aria-selected="true"]');
+        return this.getGoal(tab ? Number(tab.getAttribute('aria-controls').replace('goal-', '')) : 1);
+    }
+
+    // Fills a prompt template's {goalNumber}, {goalTitle}, {goalDescription}, {targets} and {question}
+    buildContextPrompt(goalId, question, template) {
+        const goal = this.getGoal(goalId);
+        if (!goal) return question;
+
+        const targets = goal.targets
+            ? goal.targets.map(target => `- ${target.code}: ${target.title}`).join('\n')
+            : '- (targets not loaded)';
+        const values = {
+            goalNumber: goal.id,
+            goalTitle: goal.title,
+            goalDescription: goal.description,
+            targets,
+            question
+        };
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+    }
+
+    // Builds an English prompt that gives the AI the official wording of the target and its indicators
+    buildTargetPrompt(goalId, targetCode) {
+        const goal = this.getGoal(goalId);
+        const target = this.getTarget(goalId, targetCode);
+        if (!target) return null;
+
+        const indicators = target.indicators.map(indicator => `- ${indicator.code}: ${indicator.title}`).join('\n');
+        return `Analyse SDG target ${target.code} of Goal ${goal.id} (${goal.title}): "${target.title}"\n\n`
+            + (indicators ? `Official indicators:\n${indicators}\n\n` : '')
+            + 'Summarise global progress on this target and its indicators, the main gaps, and which policies have proven effective. Use concrete figures where available.';
+    }
+
     renderGoals() {
         const goalsNav = document.getElementById('goals-nav');
         const goalsContent = document.getElementById('goals-content');
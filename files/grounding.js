@@ -0,0 +1,155 @@
+// Numbered sources of one answer. Citations are Markdown footnotes: [^1] after a statement and
+// "[^1]: [Title](url)" at the end, which the renderer links and the translators leave untouched.
+class Citations {
+    constructor() {
+        this.sources = [];
+        this.supports = [];
+    }
+
+    // Returns the source's number; a URL that is already listed keeps its number
+    add({ title, url, details = '' }) {
+        const index = this.sources.findIndex(source => source.url === url);
+        if (index !== -1) return index + 1;
+
+        this.sources.push({ title, url, details });
+        return this.sources.length;
+    }
+
+    // Gemini's groundingMetadata: groundingChunks are the web pages, groundingSupports say which
+    // part of the answer each page supports. Streams send it in pieces, so it is added as it arrives.
+    addSearchMetadata(metadata) {
+        const numbers = (metadata.groundingChunks || []).map(chunk =>
+            chunk.web ? this.add({ title: chunk.web.title || chunk.web.uri, url: chunk.web.uri }) : null);
+
+        (metadata.groundingSupports || []).forEach(support => {
+            const supportNumbers = (support.groundingChunkIndices || []).map(index => numbers[index]).filter(number => number);
+            if (support.segment?.text && supportNumbers.length > 0) {
+                this.supports.push({ text: support.segment.text, numbers: supportNumbers });
+            }
+        });
+    }
+
+    // Adds the markers for search results, turns [1] written by the model into [^1] and lists the sources
+    apply(text) {
+        if (this.sources.length === 0) return text;
+
+        let cited = text.replace(/\[(\d+)\](?![(:])/g, (match, number) =>
+            Number(number) >= 1 && Number(number) <= this.sources.length ? `[^${number}]` : match);
+
+        this.supports.forEach(({ text: segment, numbers }) => {
+            const index = cited.indexOf(segment);
+            if (index === -1) return;
+
+            const end = index + segment.length;
+            const markers = numbers
+                .filter(number => !cited.startsWith(`[^${number}]`, end))
+                .map(number => `[^${number}]`)
+                .join('');
+            cited = cited.slice(0, end) + markers + cited.slice(end);
+        });
+
+        const definitions = this.sources.map(({ title, url, details }, index) =>
+            `[^${index + 1}]: [${title.replace(/[[\]]/g, '')}](${url})${details ? `, ${details}` : ''}`);
+        return `${cited.trimEnd()}\n\n${definitions.join('\n')}`;
+    }
+}
+
+// Grounds answers in sources, as chosen in the settings: Gemini's Google Search tool ('search') or
+// passages from the local corpus of UN SDG reports in files/data/sdg-corpus.json ('corpus').
+export class GroundingService {
+    static CORPUS_URL = 'files/data/sdg-corpus.json';
+    static PASSAGE_LIMIT = 4;
+
+    constructor({ settings, getProvider }) {
+        this.settings = settings;
+        this.getProvider = getProvider;
+        this.corpus = null;
+    }
+
+    // Search grounding is a Gemini tool; other providers fall back to the local corpus
+    getMode() {
+        const mode = this.settings.get('grounding');
+        if (mode === 'search' && this.getProvider().name !== 'gemini') return 'corpus';
+        return mode;
+    }
+
+    loadCorpus() {
+        if (!this.corpus) {
+            this.corpus = fetch(GroundingService.CORPUS_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load the SDG corpus: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    this.corpus = null;
+                    throw error;
+                });
+        }
+        return this.corpus;
+    }
+
+    getTerms(text) {
+        return new Set(String(text).toLowerCase().match(/\p{L}{4,}/gu) || []);
+    }
+
+    // Passages about the goal (and about the SDGs as a whole, goal 0) ranked by the words they share
+    // with the question; ties keep the corpus order
+    async retrieve(goalId, question) {
+        const corpus = await this.loadCorpus();
+        const terms = this.getTerms(question);
+        const score = passage => [...this.getTerms(passage.text)].filter(term => terms.has(term)).length;
+
+        return corpus.passages
+            .filter(passage => passage.goal === goalId || passage.goal === 0)
+            .map((passage, index) => ({ passage, index, score: score(passage) + (passage.goal === goalId ? 1 : 0) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, GroundingService.PASSAGE_LIMIT)
+            .map(({ passage }) => ({ ...passage, source: corpus.sources.find(source => source.id === passage.source) }));
+    }
+
+    // A passage links to its goal's chapter of the report when the source has a goalUrl, where {goal} is
+    // the two-digit goal number; passages about the SDGs as a whole link to the report itself
+    getPassageUrl(passage) {
+        if (passage.url) return passage.url;
+        if (passage.goal > 0 && passage.source.goalUrl) {
+            return passage.source.goalUrl.replace('{goal}', String(passage.goal).padStart(2, '0'));
+        }
+        return passage.source.url;
+    }
+
+    // { prompt, search, citations } for one question. Corpus passages are picked by the question and put
+    // in front of the prompt with their source numbers; search results are added while the answer arrives.
+    async prepare(goalId, prompt, question = prompt) {
+        const citations = new Citations();
+        const mode = this.getMode();
+
+        if (mode === 'search') {
+            return { prompt, search: true, citations };
+        }
+        if (mode !== 'corpus') {
+            return { prompt, search: false, citations };
+        }
+
+        try {
+            const passages = await this.retrieve(goalId, question);
+            const excerpts = passages.map((passage) => {
+                const { goal, text, source } = passage;
+                const number = citations.add({
+                    title: source.title,
+                    url: this.getPassageUrl(passage),
+                    details: [source.publisher, source.year, goal > 0 ? `Goal ${goal}` : null].filter(part => part).join(', ')
+                });
+                return `[${number}] ${source.title}: ${text}`;
+            });
+            const groundedPrompt = 'Use these excerpts from UN reports where they are relevant. Cite them with footnote markers such as [^1] '
+                + 'right after the statements they support, and do not add a list of sources yourself.\n\n'
+                + `${excerpts.join('\n\n')}\n\n${prompt}`;
+            return { prompt: groundedPrompt, search: false, citations };
+        } catch (error) {
+            console.error('Error retrieving SDG report passages:', error);
+            return { prompt, search: false, citations };
+        }
+    }
+}
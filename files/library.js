@@ -0,0 +1,244 @@
+// The saved answers panel: search, tag, delete and pick two answers to compare side by side.
+export class LibraryPanel {
+    constructor({ store, goalsManager, markdownRenderer, locale, translationService, getLanguage, onOpen }) {
+        this.store = store;
+        this.goalsManager = goalsManager;
+        this.markdownRenderer = markdownRenderer;
+        this.locale = locale;
+        this.translationService = translationService;
+        this.getLanguage = getLanguage;
+        this.onOpen = onOpen;
+        this.selectedIds = [];
+        this.searchTimer = null;
+    }
+
+    initialize() {
+        const panel = document.getElementById('libraryPanel');
+        const list = document.getElementById('libraryList');
+
+        panel.addEventListener('show.bs.offcanvas', () => this.refresh());
+
+        document.getElementById('librarySearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.refresh(), 200);
+        });
+        document.getElementById('libraryTagFilter').addEventListener('change', () => this.refresh());
+        document.getElementById('compareButton').addEventListener('click', () => this.compareSelected());
+
+        list.addEventListener('click', (e) => this.handleListClick(e));
+        list.addEventListener('change', (e) => {
+            if (e.target.classList.contains('library-select')) {
+                this.toggleSelection(this.getAnswerId(e.target), e.target.checked);
+            }
+        });
+        list.addEventListener('submit', async (e) => {
+            if (!e.target.classList.contains('library-tag-form')) return;
+            e.preventDefault();
+            const input = e.target.querySelector('.library-tag-input');
+            await this.addTag(this.getAnswerId(e.target), input.value);
+        });
+    }
+
+    isOpen() {
+        return document.getElementById('libraryPanel').classList.contains('show');
+    }
+
+    getAnswerId(element) {
+        return Number(element.closest('[data-answer-id]').getAttribute('data-answer-id'));
+    }
+
+    async save(answer) {
+        try {
+            await this.store.add(answer);
+            if (this.isOpen()) {
+                await this.refresh();
+            }
+        } catch (error) {
+            console.error('Error saving answer:', error);
+        }
+    }
+
+    async refresh() {
+        const list = document.getElementById('libraryList');
+        const tagFilter = document.getElementById('libraryTagFilter');
+        const query = document.getElementById('librarySearch').value;
+
+        try {
+            const tags = await this.store.getTags();
+            const selectedTag = tags.includes(tagFilter.value) ? tagFilter.value : '';
+            tagFilter.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            tags.forEach(tag => tagFilter.appendChild(new Option(tag, tag, false, tag === selectedTag)));
+
+            const answers = await this.store.search(query, { tag: selectedTag || null });
+            if (answers.length === 0) {
+                list.innerHTML = '<p class="text-muted" data-translate>No saved answers yet.</p>';
+            } else {
+                list.innerHTML = answers.map(answer => this.renderItem(answer)).join('');
+            }
+
+            this.updateCompareButton();
+            await this.translate(list);
+        } catch (error) {
+            console.error('Error loading saved answers:', error);
+            list.innerHTML = '<div class="alert alert-danger" data-translate>Saved answers could not be loaded.</div>';
+        }
+    }
+
+    async translate(root) {
+        const language = this.getLanguage();
+        if (language === 'en') return;
+        await Promise.all(Array.from(root.querySelectorAll('[data-translate]'))
+            .map(element => this.translationService.translateElement(element, language)));
+    }
+
+    renderItem(answer) {
+        const escape = (text) => this.markdownRenderer.escapeHtml(text);
+        const goal = this.goalsManager.getGoal(answer.goalId);
+        const goalTitle = goal ? goal.title : '';
+        const selected = this.selectedIds.includes(answer.id);
+        const createdAt = new Date(answer.createdAt).toISOString();
+
+        return `
+            <div class="card library-item mb-2 ${selected ? 'border-primary' : ''}" data-answer-id="${answer.id}">
+                <div class="card-body p-2">
+                    <div class="d-flex justify-content-between align-items-start gap-2">
+                        <div class="form-check">
+                            <input class="form-check-input library-select" type="checkbox" id="library-select-${answer.id}" ${selected ? 'checked' : ''}>
+                            <label class="form-check-label fw-semibold" for="library-select-${answer.id}">
+                                <span data-number="${answer.goalId}">${this.locale.formatNumber(answer.goalId)}</span>.
+                                <span data-translate data-original-text="${escape(goalTitle)}">${escape(goalTitle)}</span>
+                            </label>
+                        </div>
+                        <small class="text-muted text-nowrap" data-date="${createdAt}">${escape(this.locale.formatDate(createdAt))}</small>
+                    </div>
+                    <p class="library-prompt small mb-1">${escape(answer.prompt)}</p>
+                    <div class="small text-muted mb-2">
+                        ${escape(this.locale.formatLanguage(answer.language))} · ${escape(answer.provider)} ${escape(answer.model || '')}
+                    </div>
+                    <div class="library-tags mb-2">
+                        ${answer.tags.map(tag => `
+                            <span class="badge text-bg-secondary">
+                                ${escape(tag)}
+                                <button type="button" class="btn-close btn-close-white library-remove-tag" data-tag="${escape(tag)}" aria-label="Remove tag ${escape(tag)}"></button>
+                            </span>
+                        `).join('')}
+                    </div>
+                    <form class="library-tag-form input-group input-group-sm mb-2">
+                        <input type="text" class="form-control library-tag-input" placeholder="Add tag" aria-label="Add tag">
+                        <button class="btn btn-outline-secondary" type="submit" data-translate>Add</button>
+                    </form>
+                    <div class="d-flex gap-2">
+                        <button type="button" class="btn btn-sm btn-outline-primary library-open" data-translate>Open</button>
+                        <button type="button" class="btn btn-sm btn-outline-danger library-delete" data-translate>Delete</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async handleListClick(e) {
+        const target = e.target;
+
+        try {
+            if (target.classList.contains('library-open')) {
+                const answer = await this.store.get(this.getAnswerId(target));
+                if (answer) {
+                    bootstrap.Offcanvas.getOrCreateInstance(document.getElementById('libraryPanel')).hide();
+                    this.onOpen(answer);
+                }
+            } else if (target.classList.contains('library-delete')) {
+                const id = this.getAnswerId(target);
+                const confirmText = await this.translationService.translate('Delete this saved answer?', this.getLanguage());
+                if (window.confirm(confirmText)) {
+                    await this.store.delete(id);
+                    this.toggleSelection(id, false);
+                    await this.refresh();
+                }
+            } else if (target.classList.contains('library-remove-tag')) {
+                const id = this.getAnswerId(target);
+                const answer = await this.store.get(id);
+                await this.store.update(id, { tags: answer.tags.filter(tag => tag !== target.getAttribute('data-tag')) });
+                await this.refresh();
+            }
+        } catch (error) {
+            console.error('Error changing saved answer:', error);
+            await this.showError('The saved answer could not be changed.');
+        }
+    }
+
+    async addTag(id, value) {
+        const tag = value.trim().toLowerCase();
+        if (!tag) return;
+
+        try {
+            const answer = await this.store.get(id);
+            if (!answer.tags.includes(tag)) {
+                await this.store.update(id, { tags: [...answer.tags, tag] });
+            }
+            await this.refresh();
+        } catch (error) {
+            console.error('Error tagging saved answer:', error);
+            await this.showError('The saved answer could not be changed.');
+        }
+    }
+
+    // A failed action keeps the list as it is and puts the error above it
+    async showError(message) {
+        const list = document.getElementById('libraryList');
+        list.querySelector('.library-error')?.remove();
+        list.insertAdjacentHTML('afterbegin', `<div class="alert alert-danger library-error" role="alert" data-translate>${this.markdownRenderer.escapeHtml(message)}</div>`);
+        await this.translate(list);
+    }
+
+    // At most two answers can be selected; picking a third drops the oldest selection
+    toggleSelection(id, selected) {
+        this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        if (selected) {
+            this.selectedIds.push(id);
+            if (this.selectedIds.length > 2) {
+                const dropped = this.selectedIds.shift();
+                const checkbox = document.getElementById(`library-select-${dropped}`);
+                if (checkbox) checkbox.checked = false;
+            }
+        }
+
+        document.querySelectorAll('.library-item').forEach(item => {
+            item.classList.toggle('border-primary', this.selectedIds.includes(this.getAnswerId(item)));
+        });
+        this.updateCompareButton();
+    }
+
+    updateCompareButton() {
+        document.getElementById('compareButton').disabled = this.selectedIds.length !== 2;
+    }
+
+    renderComparisonColumn(answer) {
+        const escape = (text) => this.markdownRenderer.escapeHtml(text);
+        const showTranslation = answer.translatedText && answer.translatedLanguage === this.getLanguage();
+        const text = showTranslation ? answer.translatedText : answer.text;
+        const language = showTranslation ? answer.translatedLanguage : answer.language;
+        const createdAt = new Date(answer.createdAt).toISOString();
+
+        return `
+            <div class="col-md-6 compare-column">
+                <p class="fw-semibold mb-1">${escape(answer.prompt)}</p>
+                <p class="small text-muted">
+                    ${escape(this.locale.formatLanguage(language))} · ${escape(answer.provider)} ${escape(answer.model || '')} ·
+                    <span data-date="${createdAt}">${escape(this.locale.formatDate(createdAt))}</span>
+                </p>
+                <div class="ai-response-content border rounded p-3">${this.markdownRenderer.render(text)}</div>
+            </div>
+        `;
+    }
+
+    async compareSelected() {
+        if (this.selectedIds.length !== 2) return;
+
+        const answers = await Promise.all(this.selectedIds.map(id => this.store.get(id)));
+        document.getElementById('compareBody').innerHTML = answers
+            .filter(answer => answer)
+            .map(answer => this.renderComparisonColumn(answer))
+            .join('');
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('compareModal')).show();
+    }
+}
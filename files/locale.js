@@ -0,0 +1,85 @@
+// Applies the selected language to the document: text direction, lang attribute,
+// the matching Bootstrap stylesheet and locale-aware numbers and dates.
+export class LocaleManager {
+    constructor() {
+        this.rtlLanguages = ['ar', 'he', 'fa', 'ur'];
+        this.language = 'en';
+
+        const stylesheet = document.getElementById('bootstrapStylesheet');
+        this.ltrStylesheetHref = stylesheet ? stylesheet.getAttribute('href') : null;
+    }
+
+    isRtl(language) {
+        return this.rtlLanguages.includes(language.split('-')[0]);
+    }
+
+    apply(language) {
+        this.language = language;
+        const rtl = this.isRtl(language);
+        const root = document.documentElement;
+
+        root.setAttribute('lang', language);
+        root.setAttribute('dir', rtl ? 'rtl' : 'ltr');
+
+        const stylesheet = document.getElementById('bootstrapStylesheet');
+        if (stylesheet) {
+            const href = rtl ? stylesheet.getAttribute('data-rtl-href') : this.ltrStylesheetHref;
+            if (href && stylesheet.getAttribute('href') !== href) {
+                stylesheet.setAttribute('href', href);
+            }
+        }
+
+        this.formatElements(document);
+    }
+
+    formatNumber(value) {
+        try {
+            return new Intl.NumberFormat(this.language).format(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    // Small amounts such as the cost of one answer keep up to four decimals
+    formatCurrency(value, currency = 'USD') {
+        try {
+            return new Intl.NumberFormat(this.language, { style: 'currency', currency, maximumFractionDigits: 4 }).format(value);
+        } catch (error) {
+            return `${value} ${currency}`;
+        }
+    }
+
+    formatDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date)) return '';
+
+        try {
+            return new Intl.DateTimeFormat(this.language, options).format(date);
+        } catch (error) {
+            return date.toLocaleString();
+        }
+    }
+
+    // Language names in the interface language, e.g. 'sv' -> 'Swedish' in English or 'svenska' in Swedish
+    formatLanguage(code) {
+        try {
+            return new Intl.DisplayNames([this.language], { type: 'language' }).of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    // Elements carry their raw value in data-number / data-currency / data-date so they can be re-formatted
+    // on every language change
+    formatElements(root) {
+        root.querySelectorAll('[data-number]').forEach(element => {
+            element.textContent = this.formatNumber(Number(element.getAttribute('data-number')));
+        });
+        root.querySelectorAll('[data-currency]').forEach(element => {
+            element.textContent = this.formatCurrency(Number(element.getAttribute('data-currency')));
+        });
+        root.querySelectorAll('[data-date]').forEach(element => {
+            element.textContent = this.formatDate(element.getAttribute('data-date'));
+        });
+    }
+}
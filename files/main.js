@@ -0,0 +1,7 @@
+// Entry point loaded by index.html; the other files are ES modules imported through app.js
+import { App } from './app.js';
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new App();
+});
@@ -0,0 +1,342 @@
+// Renders the Markdown produced by the AI models as HTML. Everything that is not
+// recognised Markdown is escaped, so raw HTML in a response is shown as text.
+export class MarkdownRenderer {
+    constructor() {
+        // Anything may follow the fence except a backtick; only a plain language name becomes a class
+        this.fencePattern = /^\s*(```|~~~)\s*([^`]*?)\s*$/;
+        this.headingPattern = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+        this.rulePattern = /^\s*([-*_])(\s*\1){2,}\s*$/;
+        this.listItemPattern = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+        this.quotePattern = /^\s*>\s?(.*)$/;
+        this.tableDividerPattern = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+        // Link text may hold balanced [brackets] but not another link, URLs balanced (parentheses)
+        this.linkPattern = /\[((?:[^[\]]|\[[^[\]]*\](?!\())+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)/g;
+        // Footnotes carry source citations: [^1] in the text, "[^1]: [Title](url)" on its own line
+        this.footnoteReferencePattern = /\[\^(\d+)\]/g;
+        this.footnotePattern = /^\[\^(\d+)\]:\s+(.*)$/;
+        this.footnotes = new Map();
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Only web and mail links are rendered; anything else (javascript:, data:, ...) stays plain text
+    sanitizeUrl(url) {
+        const trimmed = url.trim();
+        if (/^(https?:\/\/|mailto:|#)/i.test(trimmed)) {
+            return trimmed;
+        }
+        return null;
+    }
+
+    render(markdown) {
+        const lines = String(markdown || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u0000/g, '')
+            .split('\n');
+
+        // Footnote definitions are collected first so references anywhere in the text can link to them
+        this.footnotes = new Map();
+        const body = lines.filter(line => {
+            const footnote = line.match(this.footnotePattern);
+            if (footnote) {
+                this.footnotes.set(footnote[1], footnote[2]);
+            }
+            return !footnote;
+        });
+
+        return this.renderBlocks(body) + this.renderFootnotes();
+    }
+
+    // First link of a footnote, so a reference can point straight at its source
+    getFootnoteLink(number) {
+        const footnote = this.footnotes.get(number);
+        if (!footnote) return null;
+
+        this.linkPattern.lastIndex = 0;
+        const link = this.linkPattern.exec(footnote);
+        this.linkPattern.lastIndex = 0;
+        return link ? { title: link[1], url: this.sanitizeUrl(link[2]) } : null;
+    }
+
+    renderFootnotes() {
+        if (this.footnotes.size === 0) return '';
+
+        const items = Array.from(this.footnotes, ([number, text]) =>
+            `<li value="${number}">${this.renderInline(text)}</li>`);
+        return `\n<ol class="citations">${items.join('')}</ol>`;
+    }
+
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(this.fencePattern);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const name = fence[2].split(/\s/)[0];
+                const language = /^[\w+-]+$/.test(name) ? ` class="language-${name}"` : '';
+                html.push(`<pre><code${language}>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(this.headingPattern);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.rulePattern.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const { html: table, next } = this.renderTable(lines, i);
+                html.push(table);
+                i = next;
+                continue;
+            }
+
+            if (this.quotePattern.test(line)) {
+                const quoted = [];
+                while (i < lines.length && this.quotePattern.test(lines[i])) {
+                    quoted.push(lines[i].match(this.quotePattern)[1]);
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoted)}</blockquote>`);
+                continue;
+            }
+
+            if (this.listItemPattern.test(line)) {
+                const { html: list, next } = this.renderList(lines, i);
+                html.push(list);
+                i = next;
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i)) {
+                paragraph.push(this.renderInline(lines[i].trim()));
+                i++;
+            }
+            html.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return this.fencePattern.test(line)
+            || this.headingPattern.test(line)
+            || this.rulePattern.test(line)
+            || this.quotePattern.test(line)
+            || this.listItemPattern.test(line)
+            || this.isTableStart(lines, i);
+    }
+
+    isTableStart(lines, i) {
+        return lines[i].includes('|')
+            && i + 1 < lines.length
+            && lines[i + 1].includes('-')
+            && this.tableDividerPattern.test(lines[i + 1]);
+    }
+
+    splitTableRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    renderTable(lines, start) {
+        const headers = this.splitTableRow(lines[start]);
+        const alignments = this.splitTableRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        const cellAttributes = (index) => alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(`<tr>${headers.map((header, index) =>
+                `<td${cellAttributes(index)}>${this.renderInline(cells[index] || '')}</td>`).join('')}</tr>`);
+            i++;
+        }
+
+        const head = `<tr>${headers.map((header, index) =>
+            `<th${cellAttributes(index)}>${this.renderInline(header)}</th>`).join('')}</tr>`;
+        return {
+            html: `<div class="table-responsive"><table class="table table-sm table-bordered"><thead>${head}</thead><tbody>${rows.join('')}</tbody></table></div>`,
+            next: i
+        };
+    }
+
+    renderList(lines, start) {
+        const first = lines[start].match(this.listItemPattern);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                // A blank line only continues the list if another item follows
+                const nextItem = i + 1 < lines.length && lines[i + 1].match(this.listItemPattern);
+                if (nextItem && nextItem[1].length >= indent) {
+                    i++;
+                    continue;
+                }
+                break;
+            }
+
+            const item = line.match(this.listItemPattern);
+            const lineIndent = line.match(/^\s*/)[0].length;
+
+            if (item && lineIndent === indent && /\d/.test(item[2]) === ordered) {
+                items.push({ text: [this.renderInline(item[3])], children: [] });
+                i++;
+            } else if (item && lineIndent > indent && items.length > 0) {
+                const { html, next } = this.renderList(lines, i);
+                items[items.length - 1].children.push(html);
+                i = next;
+            } else if (!item && lineIndent > indent && items.length > 0) {
+                items[items.length - 1].text.push(this.renderInline(line.trim()));
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const body = items.map(item => `<li>${item.text.join('<br>')}${item.children.join('')}</li>`).join('');
+
+        return { html: `<${tag}${startAttribute}>${body}</${tag}>`, next: i };
+    }
+
+    renderInline(text) {
+        // Code spans and links are swapped for placeholders so emphasis rules do not touch them
+        const placeholders = [];
+        const hold = (html) => {
+            placeholders.push(html);
+            return `\u0000${placeholders.length - 1}\u0000`;
+        };
+
+        let html = text
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${this.escapeHtml(code)}</code>`))
+            .replace(this.footnoteReferencePattern, (match, number) => {
+                const link = this.getFootnoteLink(number);
+                if (!link || !link.url) {
+                    return hold(`<sup class="citation">[${number}]</sup>`);
+                }
+                return hold(`<sup class="citation"><a href="${this.escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer" title="${this.escapeHtml(link.title)}">[${number}]</a></sup>`);
+            })
+            .replace(this.linkPattern, (match, label, url) => {
+                const safeUrl = this.sanitizeUrl(url);
+                if (!safeUrl) {
+                    return hold(this.escapeHtml(label));
+                }
+                return hold(`<a href="${this.escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer">${this.renderInline(label)}</a>`);
+            });
+
+        html = this.escapeHtml(html)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(.+?)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*(?!\s)(.+?)\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+    }
+
+    // Splits Markdown into lines of parts so a translator only sees the prose; markers,
+    // table pipes, link targets and code stay untouched
+    splitForTranslation(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        let inCode = false;
+
+        return lines.map((line, index) => {
+            if (this.fencePattern.test(line)) {
+                inCode = !inCode;
+                return [{ text: line, translate: false }];
+            }
+            if (inCode || line.trim() === '' || this.rulePattern.test(line) || (this.tableDividerPattern.test(line) && line.includes('-'))) {
+                return [{ text: line, translate: false }];
+            }
+
+            if (line.includes('|') && (this.isTableStart(lines, index) || this.isTableRow(lines, index))) {
+                return line.split('|').flatMap((cell, cellIndex) => {
+                    const parts = cellIndex > 0 ? [{ text: '|', translate: false }] : [];
+                    return parts.concat(this.splitProse(cell));
+                });
+            }
+
+            const prefix = line.match(/^(\s*(?:#{1,6}\s+|>\s?|[-*+]\s+|\d+[.)]\s+|\[\^\d+\]:\s+)*)/)[0];
+            return [{ text: prefix, translate: false }, ...this.splitProse(line.slice(prefix.length))];
+        });
+    }
+
+    isTableRow(lines, index) {
+        for (let i = index - 1; i >= 0 && lines[i].includes('|'); i--) {
+            if (this.tableDividerPattern.test(lines[i]) && lines[i].includes('-')) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    splitProse(text) {
+        const parts = [];
+        const leading = text.match(/^\s*/)[0];
+        const trailing = text.slice(leading.length).match(/\s*$/)[0];
+        const body = text.slice(leading.length, text.length - trailing.length);
+        let lastIndex = 0;
+
+        parts.push({ text: leading, translate: false });
+        body.replace(/`[^`]+`|\[\^\d+\]|\[((?:[^[\]]|\[[^[\]]*\](?!\())+)\](\((?:[^()\s]|\([^()\s]*\))+(?:\s+"[^"]*")?\))/g, (match, label, target, offset) => {
+            parts.push({ text: body.slice(lastIndex, offset), translate: true });
+            if (label) {
+                parts.push({ text: '[', translate: false });
+                parts.push({ text: label, translate: true });
+                parts.push({ text: `]${target}`, translate: false });
+            } else {
+                parts.push({ text: match, translate: false });
+            }
+            lastIndex = offset + match.length;
+            return match;
+        });
+        parts.push({ text: body.slice(lastIndex), translate: true });
+        parts.push({ text: trailing, translate: false });
+
+        return parts.filter(part => part.text !== '');
+    }
+}
@@ -0,0 +1,106 @@
+import { AINetworkError } from './providers.js';
+
+// Keeps the app usable without a network: registers the service worker, shows the connection
+// state and queues prompts asked while offline so they run once the network is back.
+export class OfflineManager {
+    static QUEUE_KEY = 'agenda2030ai-prompt-queue';
+
+    constructor({ locale, onReconnect = () => {} }) {
+        this.locale = locale;
+        this.onReconnect = onReconnect;
+        this.processing = false;
+    }
+
+    initialize() {
+        this.registerServiceWorker();
+
+        window.addEventListener('online', () => {
+            this.updateStatus();
+            this.onReconnect();
+        });
+        window.addEventListener('offline', () => this.updateStatus());
+
+        this.updateStatus();
+    }
+
+    registerServiceWorker() {
+        // Service workers need http(s); opening index.html from disk keeps working without one
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    isOnline() {
+        return navigator.onLine;
+    }
+
+    // navigator.onLine alone is not enough: a local Ollama server still answers when the machine
+    // has no internet connection.
+    isNetworkError(error) {
+        return error instanceof AINetworkError;
+    }
+
+    getQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(OfflineManager.QUEUE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue(queue) {
+        try {
+            localStorage.setItem(OfflineManager.QUEUE_KEY, JSON.stringify(queue));
+        } catch (error) {
+            console.error('Error saving the prompt queue:', error);
+        }
+        this.updateStatus();
+    }
+
+    // item: { goalId, prompt, language }
+    enqueue(item) {
+        const queue = this.getQueue();
+        const queued = queue.some(entry =>
+            entry.goalId === item.goalId && entry.prompt === item.prompt && entry.language === item.language);
+        if (!queued) {
+            queue.push({ ...item, queuedAt: Date.now() });
+            this.saveQueue(queue);
+        }
+    }
+
+    // Runs queued prompts one at a time, oldest first. A network failure stops the run and
+    // keeps the prompt queued; any other failure drops it so one bad prompt cannot block the rest.
+    async processQueue(run) {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (this.isOnline() && this.getQueue().length > 0) {
+                const [item] = this.getQueue();
+                try {
+                    await run(item);
+                } catch (error) {
+                    if (this.isNetworkError(error)) break;
+                    console.error('Queued prompt failed:', error);
+                }
+                this.saveQueue(this.getQueue().slice(1));
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    updateStatus() {
+        const offlineBadge = document.getElementById('offlineStatus');
+        const queueBadge = document.getElementById('queueStatus');
+        const queued = this.getQueue().length;
+
+        offlineBadge.classList.toggle('d-none', this.isOnline());
+        queueBadge.classList.toggle('d-none', queued === 0);
+        const count = queueBadge.querySelector('[data-number]');
+        count.setAttribute('data-number', queued);
+        count.textContent = this.locale.formatNumber(queued);
+    }
+}
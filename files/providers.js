@@ -0,0 +1,501 @@
+import { CONFIG } from './config.js';
+
+// type selects the message and hint shown to the user (AI_ERROR_MESSAGES); retryable errors are
+// retried with backoff by AIService
+export class AIProviderError extends Error {
+    constructor(message, { provider, status = null, code = null, cause = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'AIProviderError';
+        this.type = 'unknown';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.cause = cause;
+        this.retryable = retryable;
+    }
+}
+
+// Missing, invalid or unauthorised API key
+export class AIAuthError extends AIProviderError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AIAuthError';
+        this.type = 'auth';
+    }
+}
+
+// Rate limits are retried (after retryAfter seconds when the provider says so); an exhausted quota is not
+export class AIQuotaError extends AIProviderError {
+    constructor(message, { retryAfter = null, ...options } = {}) {
+        super(message, { retryable: options.code !== 'insufficient_quota', ...options });
+        this.name = 'AIQuotaError';
+        this.type = 'quota';
+        this.retryAfter = retryAfter;
+    }
+}
+
+// The prompt or the answer was blocked by the provider's safety filters; reason is e.g. SAFETY
+export class AISafetyError extends AIProviderError {
+    constructor(message, { reason = null, ...options } = {}) {
+        super(message, options);
+        this.name = 'AISafetyError';
+        this.type = 'safety';
+        this.reason = reason;
+    }
+}
+
+// The provider could not be reached at all
+export class AINetworkError extends AIProviderError {
+    constructor(message, options) {
+        super(message, { retryable: true, ...options });
+        this.name = 'AINetworkError';
+        this.type = 'network';
+    }
+}
+
+// 5xx and timeouts, usually an overloaded model
+export class AIServerError extends AIProviderError {
+    constructor(message, options) {
+        super(message, { retryable: true, ...options });
+        this.name = 'AIServerError';
+        this.type = 'server';
+    }
+}
+
+// English texts per error type; App translates them with TranslationService
+export const AI_ERROR_MESSAGES = {
+    auth: {
+        message: 'The AI provider rejected the request because the API key is missing or invalid.',
+        hint: 'Check GEMINI_API_KEY on the server, or the API key of the selected provider in files/config.js.'
+    },
+    quota: {
+        message: 'The usage limit of the AI provider has been reached.',
+        hint: 'Wait a minute and try again, or check the quota and billing of the API key.'
+    },
+    safety: {
+        message: 'The AI provider blocked this answer with its safety filters.',
+        hint: 'Try rephrasing the question, for example by asking about policies and evidence.'
+    },
+    network: {
+        message: 'The AI service could not be reached.',
+        hint: 'Check the internet connection, and that the server (or Ollama) is running.'
+    },
+    server: {
+        message: 'The AI service is temporarily unavailable.',
+        hint: 'Try again in a moment.'
+    },
+    budget: {
+        message: 'A usage budget has been used up, so no more AI requests are sent.',
+        hint: 'Raise or clear the limit in the Usage panel. Daily budgets start over tomorrow.'
+    },
+    unknown: {
+        message: 'Error generating response. Please try again.',
+        hint: ''
+    }
+};
+
+// Provider error codes that mean the API key is the problem, whatever the HTTP status
+const AUTH_ERROR_CODES = ['API_KEY_INVALID', 'API_KEY_MISSING', 'UNAUTHENTICATED', 'PERMISSION_DENIED', 'invalid_api_key'];
+
+class AIProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async request(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new AINetworkError(`Could not reach ${this.name}: ${error.message}`, {
+                provider: this.name,
+                cause: error
+            });
+        }
+
+        if (!response.ok) {
+            throw this.createHttpError(response, await this.readError(response));
+        }
+
+        return response;
+    }
+
+    // { message, code, retryDelay } from the error body. Gemini puts the reason in details[] and
+    // the wait in a RetryInfo detail, OpenAI uses error.code and Ollama sends a plain string.
+    async readError(response) {
+        try {
+            const data = await response.json();
+            if (typeof data.error === 'string') return { message: data.error };
+
+            const details = data.error?.details || [];
+            const reason = details.find(detail => detail.reason)?.reason;
+            const retryDelay = details.find(detail => detail.retryDelay)?.retryDelay;
+            return {
+                message: data.error?.message || '',
+                code: reason || [data.error?.code, data.error?.status].find(value => typeof value === 'string') || null,
+                retryDelay: retryDelay ? parseFloat(retryDelay) : null
+            };
+        } catch (error) {
+            return { message: '' };
+        }
+    }
+
+    createHttpError(response, { message, code = null, retryDelay = null }) {
+        const { status } = response;
+        const text = `${this.name} error ${status}${message ? `: ${message}` : ''}`;
+        const options = { provider: this.name, status, code };
+
+        if (status === 401 || status === 403 || AUTH_ERROR_CODES.includes(code)) {
+            return new AIAuthError(text, options);
+        }
+        if (status === 429) {
+            const retryAfter = Number(response.headers.get('Retry-After')) || retryDelay;
+            return new AIQuotaError(text, { ...options, retryAfter });
+        }
+        if (status === 408 || status >= 500) {
+            return new AIServerError(text, options);
+        }
+        return new AIProviderError(text, options);
+    }
+
+    // Throws an AISafetyError when a response (or streamed chunk) was blocked
+    checkBlocked(data) {
+        const reason = this.getBlockReason(data);
+        if (reason) {
+            throw new AISafetyError(`${this.name} blocked the response (${reason})`, { provider: this.name, reason });
+        }
+    }
+
+    getBlockReason() {
+        return null;
+    }
+
+    // Passes the sources a response was grounded on to request.onGrounding
+    reportGrounding(request, data) {
+        const grounding = this.extractGrounding(data);
+        if (grounding && request.onGrounding) {
+            request.onGrounding(grounding);
+        }
+    }
+
+    extractGrounding() {
+        return null;
+    }
+
+    // Passes the token counts of a response to request.onUsage as { inputTokens, outputTokens }.
+    // Streams report running totals, so the last call counts.
+    reportUsage(request, data) {
+        const usage = this.extractUsage(data);
+        if (usage && request.onUsage) {
+            request.onUsage(usage);
+        }
+    }
+
+    extractUsage() {
+        return null;
+    }
+
+    async generate(request) {
+        const response = await this.request(this.getUrl(false), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(this.buildBody(request, false)),
+            signal: request.signal
+        });
+
+        const data = await response.json();
+        this.checkBlocked(data);
+        this.reportGrounding(request, data);
+        this.reportUsage(request, data);
+        const text = this.extractText(data);
+        if (!text) {
+            throw new AIProviderError(`${this.name} returned an empty response`, { provider: this.name });
+        }
+
+        return { text, provider: this.name, raw: data };
+    }
+
+    async stream(request, onChunk = () => {}, signal) {
+        const response = await this.request(this.getUrl(true), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(this.buildBody(request, true)),
+            signal
+        });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        const handleRecords = (records) => {
+            records.forEach(record => {
+                let data;
+                try {
+                    data = JSON.parse(record);
+                } catch (error) {
+                    throw new AIProviderError(`${this.name} sent an invalid stream chunk`, { provider: this.name, cause: error });
+                }
+                this.checkBlocked(data);
+                this.reportGrounding(request, data);
+                this.reportUsage(request, data);
+                const text = this.extractText(data);
+                if (text) {
+                    fullText += text;
+                    onChunk(text, fullText);
+                }
+            });
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const { records, rest } = this.splitRecords(buffer);
+            buffer = rest;
+            handleRecords(records);
+        }
+
+        // Flush a record the server did not terminate
+        buffer += decoder.decode();
+        handleRecords(this.splitRecords(buffer, true).records);
+
+        if (!fullText) {
+            throw new AIProviderError(`${this.name} returned an empty response`, { provider: this.name });
+        }
+        return fullText;
+    }
+
+    // Splits a server-sent events buffer into complete event payloads and the unfinished remainder
+    splitRecords(buffer, final = false) {
+        const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+        const rest = final ? '' : blocks.pop();
+        const records = blocks
+            .map(block => block
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).replace(/^ /, ''))
+                .join('\n'))
+            .filter(data => data && data !== '[DONE]');
+
+        return { records, rest };
+    }
+
+    getHeaders() {
+        return { 'Content-Type': 'application/json' };
+    }
+
+    // Models offered in the settings panel; getModel() is the default
+    getModels() {
+        return [this.getModel()];
+    }
+}
+
+class GeminiProvider extends AIProvider {
+    static BLOCK_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+    constructor() {
+        super('gemini');
+    }
+
+    // Requests go through the server's /api/generate proxy, which adds the API key
+    getUrl(stream) {
+        return stream ? CONFIG.GEMINI_API_URL + '?stream=true' : CONFIG.GEMINI_API_URL;
+    }
+
+    getModel() {
+        return CONFIG.GEMINI_MODEL;
+    }
+
+    getModels() {
+        return CONFIG.GEMINI_MODELS;
+    }
+
+    // model is read by the proxy, which only accepts the models in its GEMINI_MODELS allow-list.
+    // search turns on grounding with Google Search.
+    buildBody({ prompt, history = [], systemInstruction, model, temperature, maxTokens, search = false }) {
+        const body = {
+            model: model || this.getModel(),
+            contents: this.buildContents(prompt, history)
+        };
+        if (systemInstruction) {
+            body.systemInstruction = { parts: [{ text: systemInstruction }] };
+        }
+        if (temperature !== undefined || maxTokens !== undefined) {
+            body.generationConfig = { temperature, maxOutputTokens: maxTokens };
+        }
+        if (search) {
+            body.tools = [{ google_search: {} }];
+        }
+        return body;
+    }
+
+    // Gemini expects the conversation as alternating user/model turns ending with the new question
+    buildContents(prompt, history = []) {
+        return [
+            ...history.map(turn => ({
+                role: turn.role,
+                parts: [{ text: turn.text }]
+            })),
+            {
+                role: 'user',
+                parts: [{ text: prompt }]
+            }
+        ];
+    }
+
+    // A blocked prompt has promptFeedback.blockReason; an answer stopped by the filters has a finishReason
+    getBlockReason(data) {
+        const finishReason = data.candidates?.[0]?.finishReason;
+        return data.promptFeedback?.blockReason
+            || (GeminiProvider.BLOCK_FINISH_REASONS.includes(finishReason) ? finishReason : null);
+    }
+
+    extractGrounding(data) {
+        return data.candidates?.[0]?.groundingMetadata || null;
+    }
+
+    // Thinking models bill their thoughts as output tokens
+    extractUsage(data) {
+        const usage = data.usageMetadata;
+        if (!usage) return null;
+        return {
+            inputTokens: usage.promptTokenCount || 0,
+            outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+        };
+    }
+
+    extractText(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+}
+
+class OpenAIProvider extends AIProvider {
+    constructor(name = 'openai') {
+        super(name);
+    }
+
+    getUrl() {
+        return CONFIG.OPENAI_API_URL;
+    }
+
+    getModel() {
+        return CONFIG.OPENAI_MODEL;
+    }
+
+    getModels() {
+        return CONFIG.OPENAI_MODELS;
+    }
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        if (CONFIG.OPENAI_API_KEY) {
+            headers['Authorization'] = `Bearer ${CONFIG.OPENAI_API_KEY}`;
+        }
+        return headers;
+    }
+
+    // Streams only end with a usage chunk when asked for it
+    buildBody({ prompt, history = [], systemInstruction, model, temperature, maxTokens }, stream) {
+        return {
+            model: model || this.getModel(),
+            stream,
+            ...(stream ? { stream_options: { include_usage: true } } : {}),
+            messages: this.buildMessages(prompt, history, systemInstruction),
+            temperature,
+            max_tokens: maxTokens
+        };
+    }
+
+    buildMessages(prompt, history = [], systemInstruction) {
+        return [
+            ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+            ...history.map(turn => ({
+                role: turn.role === 'model' ? 'assistant' : 'user',
+                content: turn.text
+            })),
+            { role: 'user', content: prompt }
+        ];
+    }
+
+    getBlockReason(data) {
+        return data.choices?.[0]?.finish_reason === 'content_filter' ? 'content_filter' : null;
+    }
+
+    extractUsage(data) {
+        if (!data.usage) return null;
+        return { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 };
+    }
+
+    extractText(data) {
+        const choice = data.choices?.[0];
+        return choice?.delta?.content || choice?.message?.content || '';
+    }
+}
+
+class OllamaProvider extends OpenAIProvider {
+    constructor() {
+        super('ollama');
+    }
+
+    getUrl() {
+        return CONFIG.OLLAMA_API_URL;
+    }
+
+    getModel() {
+        return CONFIG.OLLAMA_MODEL;
+    }
+
+    getModels() {
+        return CONFIG.OLLAMA_MODELS;
+    }
+
+    getHeaders() {
+        return { 'Content-Type': 'application/json' };
+    }
+
+    // Ollama takes sampling settings under options, and num_predict instead of max_tokens
+    buildBody({ prompt, history = [], systemInstruction, model, temperature, maxTokens }, stream) {
+        return {
+            model: model || this.getModel(),
+            stream,
+            messages: this.buildMessages(prompt, history, systemInstruction),
+            options: { temperature, num_predict: maxTokens }
+        };
+    }
+
+    // Ollama streams newline-delimited JSON instead of server-sent events
+    splitRecords(buffer, final = false) {
+        const lines = buffer.split('\n');
+        const rest = final ? '' : lines.pop();
+        const records = lines.map(line => line.trim()).filter(line => line);
+        return { records, rest };
+    }
+
+    // Counted in the final record of an answer
+    extractUsage(data) {
+        if (!data.done) return null;
+        return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+    }
+
+    extractText(data) {
+        return data.message?.content || '';
+    }
+}
+
+export const AI_PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    ollama: OllamaProvider
+};
+
+export function createAIProvider(name) {
+    const Provider = AI_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown AI provider: ${name}`);
+    }
+    return new Provider();
+}
@@ -0,0 +1,351 @@
+import { DocxDocument } from './docx.js';
+
+// Builds reports from saved answers. Every format starts from the same Markdown document,
+// and the HTML and DOCX versions are rendered from it, so the exports always agree.
+export class ReportExporter {
+    constructor({ store, goalsManager, markdownRenderer, translationService, locale, getLanguage, getCurrentAnswer, translate }) {
+        this.store = store;
+        this.goalsManager = goalsManager;
+        this.markdownRenderer = markdownRenderer;
+        this.translationService = translationService;
+        this.locale = locale;
+        this.getLanguage = getLanguage;
+        this.getCurrentAnswer = getCurrentAnswer;
+        this.translate = translate;
+        this.answers = [];
+    }
+
+    initialize() {
+        const selection = document.getElementById('exportSelection');
+
+        document.getElementById('exportModal').addEventListener('show.bs.modal', () => this.refresh());
+        document.getElementById('exportDownload').addEventListener('click', () => this.exportReport());
+        document.getElementById('exportPrint').addEventListener('click', () => this.printReport());
+
+        selection.addEventListener('change', (e) => {
+            if (e.target.classList.contains('export-goal-select')) {
+                const goalId = e.target.getAttribute('data-goal-id');
+                selection.querySelectorAll(`.export-answer-select[data-goal-id="${goalId}"]`).forEach(checkbox => {
+                    checkbox.checked = e.target.checked;
+                });
+            }
+            this.updateGoalCheckboxes();
+        });
+    }
+
+    async refresh() {
+        const selection = document.getElementById('exportSelection');
+        const escape = (text) => this.markdownRenderer.escapeHtml(text);
+        const currentAnswer = this.getCurrentAnswer();
+        this.setStatus('');
+
+        try {
+            this.answers = await this.store.getAll();
+        } catch (error) {
+            console.error('Error loading saved answers:', error);
+            this.answers = [];
+        }
+
+        if (this.answers.length === 0) {
+            selection.innerHTML = '<p class="text-muted" data-translate>No saved answers yet.</p>';
+        } else {
+            selection.innerHTML = this.groupByGoal(this.answers).map(({ goal, answers }) => `
+                <div class="export-goal mb-3">
+                    <div class="form-check">
+                        <input class="form-check-input export-goal-select" type="checkbox" id="export-goal-${goal.id}" data-goal-id="${goal.id}">
+                        <label class="form-check-label fw-semibold" for="export-goal-${goal.id}">
+                            <span data-number="${goal.id}">${this.locale.formatNumber(goal.id)}</span>.
+                            <span data-translate data-original-text="${escape(goal.title)}">${escape(goal.title)}</span>
+                        </label>
+                    </div>
+                    <div class="ms-4">
+                        ${answers.map(answer => `
+                            <div class="form-check">
+                                <input class="form-check-input export-answer-select" type="checkbox" id="export-answer-${answer.id}"
+                                       value="${answer.id}" data-goal-id="${goal.id}" ${currentAnswer && currentAnswer.text === answer.text ? 'checked' : ''}>
+                                <label class="form-check-label small" for="export-answer-${answer.id}">
+                                    ${escape(answer.prompt)}
+                                    <span class="text-muted">· ${escape(this.locale.formatLanguage(answer.language))} ·
+                                        <span data-date="${new Date(answer.createdAt).toISOString()}">${escape(this.locale.formatDate(answer.createdAt))}</span></span>
+                                </label>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        this.updateGoalCheckboxes();
+
+        const language = this.getLanguage();
+        if (language !== 'en') {
+            await Promise.all(Array.from(selection.querySelectorAll('[data-translate]'))
+                .map(element => this.translationService.translateElement(element, language)));
+        }
+    }
+
+    // A goal checkbox is ticked when all of its answers are, and indeterminate when only some are
+    updateGoalCheckboxes() {
+        document.querySelectorAll('.export-goal-select').forEach(goalCheckbox => {
+            const goalId = goalCheckbox.getAttribute('data-goal-id');
+            const answers = Array.from(document.querySelectorAll(`.export-answer-select[data-goal-id="${goalId}"]`));
+            const checked = answers.filter(checkbox => checkbox.checked).length;
+            goalCheckbox.checked = checked === answers.length;
+            goalCheckbox.indeterminate = checked > 0 && checked < answers.length;
+        });
+    }
+
+    // Goals in SDG order, answers oldest first within each goal
+    groupByGoal(answers) {
+        const groups = new Map();
+        answers.forEach(answer => {
+            const goal = this.goalsManager.getGoal(answer.goalId);
+            if (!goal) return;
+            if (!groups.has(goal.id)) {
+                groups.set(goal.id, { goal, answers: [] });
+            }
+            groups.get(goal.id).answers.push(answer);
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => a.goal.id - b.goal.id)
+            .map(group => ({ ...group, answers: group.answers.sort((a, b) => a.createdAt - b.createdAt) }));
+    }
+
+    getSelectedAnswers() {
+        const ids = Array.from(document.querySelectorAll('.export-answer-select:checked')).map(checkbox => Number(checkbox.value));
+        return this.answers.filter(answer => ids.includes(answer.id));
+    }
+
+    setStatus(text, type = 'muted') {
+        const status = document.getElementById('exportStatus');
+        status.className = `small me-auto text-${type}`;
+        status.textContent = text;
+    }
+
+    setBusy(busy) {
+        document.getElementById('exportDownload').disabled = busy;
+        document.getElementById('exportPrint').disabled = busy;
+    }
+
+    // Moves the headings of an answer below the report's own goal, prompt and section headings
+    shiftHeadings(markdown, levels) {
+        let inCode = false;
+        return markdown.split('\n').map(line => {
+            if (this.markdownRenderer.fencePattern.test(line)) {
+                inCode = !inCode;
+                return line;
+            }
+            if (inCode) return line;
+
+            return line.replace(/^(\s*)(#{1,6})(?=\s)/, (match, space, hashes) =>
+                space + '#'.repeat(Math.min(6, hashes.length + levels)));
+        }).join('\n');
+    }
+
+    // Footnote numbers restart in every answer, but the report is rendered as one document, so they are
+    // shifted to stay unique. A translation cites the same sources, so it only keeps its markers.
+    offsetFootnotes(markdown, offset, { definitions = true } = {}) {
+        const { footnotePattern, footnoteReferencePattern } = this.markdownRenderer;
+        return markdown.split('\n')
+            .filter(line => definitions || !footnotePattern.test(line))
+            .join('\n')
+            .replace(footnoteReferencePattern, (match, number) => `[^${Number(number) + offset}]`);
+    }
+
+    countFootnotes(markdown) {
+        const numbers = Array.from(markdown.matchAll(this.markdownRenderer.footnoteReferencePattern), match => Number(match[1]));
+        return Math.max(0, ...numbers);
+    }
+
+    // A heading holds one line, so the rest of a multi-line prompt, such as a target prompt with its
+    // indicators, follows it as a blockquote
+    formatPrompt(prompt) {
+        const [heading, ...rest] = prompt.trim().split('\n');
+        const lines = [`### ${heading.trim()}`, ''];
+        const quoted = rest.join('\n').trim();
+        if (quoted) {
+            lines.push(...quoted.split('\n').map(line => (line.trim() ? `> ${line}` : '>')), '');
+        }
+        return lines;
+    }
+
+    async buildMarkdown(answers, language, onProgress = () => {}) {
+        const [title, generated, goalLabel, originalLabel, translationLabel] = await Promise.all([
+            this.translationService.translate('Agenda 2030 report', language),
+            this.translationService.translate('Generated', language),
+            this.translationService.translate('Goal', language),
+            this.translationService.translate('Original', language),
+            this.translationService.translate('Translation', language)
+        ]);
+
+        const lines = [`# ${title}`, '', `*${generated}: ${this.locale.formatDate(new Date())}*`, ''];
+        let completed = 0;
+        let footnoteOffset = 0;
+
+        for (const { goal, answers: goalAnswers } of this.groupByGoal(answers)) {
+            lines.push(`## ${goalLabel} ${goal.id}: ${goal.title}`, '', goal.description, '');
+
+            if (language !== 'en') {
+                const [goalTitle, goalDescription] = await Promise.all([
+                    this.translationService.translate(goal.title, language),
+                    this.translationService.translate(goal.description, language)
+                ]);
+                lines.push(`*${goalTitle}: ${goalDescription}*`, '');
+            }
+
+            for (const answer of goalAnswers) {
+                const details = [answer.provider, answer.model, this.locale.formatDate(answer.createdAt)].filter(part => part);
+                lines.push(...this.formatPrompt(answer.prompt), `*${details.join(' · ')}*`, '');
+                lines.push(`#### ${originalLabel} (${this.locale.formatLanguage(answer.language)})`, '',
+                    this.shiftHeadings(this.offsetFootnotes(answer.text, footnoteOffset), 4), '');
+
+                // Answers written directly in another language get an English version, and every answer
+                // a version in the report language. Stored translations are used when they match.
+                const targets = [...new Set(['en', language])].filter(target => target !== answer.language);
+                for (const target of targets) {
+                    const translated = answer.translatedText && answer.translatedLanguage === target
+                        ? answer.translatedText
+                        : await this.translate(answer.text, answer.language, target);
+                    if (translated && translated !== answer.text) {
+                        lines.push(`#### ${translationLabel} (${this.locale.formatLanguage(target)})`, '',
+                            this.shiftHeadings(this.offsetFootnotes(translated, footnoteOffset, { definitions: false }), 4), '');
+                    }
+                }
+                footnoteOffset += this.countFootnotes(answer.text);
+
+                onProgress({ completed: ++completed, total: answers.length });
+            }
+        }
+
+        return { title, markdown: lines.join('\n') };
+    }
+
+    buildHtml(markdown, language, title) {
+        const escape = (text) => this.markdownRenderer.escapeHtml(text);
+        const dir = this.locale.isRtl(language) ? 'rtl' : 'ltr';
+
+        return `<!DOCTYPE html>
+<html lang="${escape(language)}" dir="${dir}">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.5; color: #212529; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    h1, h2, h3, h4, h5, h6 { font-family: system-ui, sans-serif; color: #1f3864; break-after: avoid; }
+    h2 { border-bottom: 2px solid #0d6efd; padding-bottom: 4px; margin-top: 2.5rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+    th, td { border: 1px solid #adb5bd; padding: 4px 8px; text-align: start; }
+    pre { background: #f1f3f5; padding: 10px; border-radius: 6px; white-space: pre-wrap; }
+    blockquote { border-inline-start: 4px solid #dee2e6; padding-inline-start: 12px; color: #6c757d; margin-inline: 0; }
+    a { color: #0d6efd; }
+    .citation a { text-decoration: none; }
+    .citations { border-top: 1px solid #dee2e6; padding-top: 0.5rem; font-size: 0.9em; word-break: break-word; }
+    @page { margin: 2cm; }
+    @media print {
+        body { max-width: none; margin: 0; padding: 0; }
+        h2:not(:first-of-type) { break-before: page; }
+        a::after { content: ' (' attr(href) ')'; font-size: 0.85em; color: #6c757d; }
+        .citation a::after { content: none; }
+        table, pre, blockquote { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+${this.markdownRenderer.render(markdown)}
+</body>
+</html>
+`;
+    }
+
+    buildDocx(markdown, language, title) {
+        const docx = new DocxDocument({ title, language });
+        docx.addHtml(this.markdownRenderer.render(markdown));
+        return docx.toBlob();
+    }
+
+    getFilename(extension) {
+        return `agenda2030-report-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Builds the report for the ticked answers, showing progress while answers are translated
+    async buildSelectedReport() {
+        const answers = this.getSelectedAnswers();
+        const language = this.getLanguage();
+
+        if (answers.length === 0) {
+            this.setStatus(await this.translationService.translate('Select at least one answer.', language), 'danger');
+            return null;
+        }
+
+        const buildingText = await this.translationService.translate('Building report...', language);
+        this.setStatus(buildingText);
+        const report = await this.buildMarkdown(answers, language, ({ completed, total }) => {
+            this.setStatus(`${buildingText} (${completed}/${total})`);
+        });
+        return { ...report, language };
+    }
+
+    async exportReport() {
+        const format = document.getElementById('exportFormat').value;
+        this.setBusy(true);
+
+        try {
+            const report = await this.buildSelectedReport();
+            if (!report) return;
+
+            if (format === 'docx') {
+                this.download(this.buildDocx(report.markdown, report.language, report.title), this.getFilename('docx'));
+            } else if (format === 'html') {
+                const html = this.buildHtml(report.markdown, report.language, report.title);
+                this.download(new Blob([html], { type: 'text/html;charset=utf-8' }), this.getFilename('html'));
+            } else {
+                this.download(new Blob([report.markdown], { type: 'text/markdown;charset=utf-8' }), this.getFilename('md'));
+            }
+            this.setStatus('');
+        } catch (error) {
+            console.error('Error exporting report:', error);
+            this.setStatus(await this.translationService.translate('The report could not be created.', this.getLanguage()), 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    // Opens the print-styled HTML in a new window, where the browser can print it or save it as PDF
+    async printReport() {
+        this.setBusy(true);
+
+        try {
+            const report = await this.buildSelectedReport();
+            if (!report) return;
+
+            const html = this.buildHtml(report.markdown, report.language, report.title);
+            const url = URL.createObjectURL(new Blob([html], { type: 'text/html;charset=utf-8' }));
+            const printWindow = window.open(url, '_blank');
+            if (printWindow) {
+                printWindow.addEventListener('load', () => printWindow.print());
+            } else {
+                // Pop-up blocked: fall back to downloading the HTML
+                this.download(new Blob([html], { type: 'text/html;charset=utf-8' }), this.getFilename('html'));
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            this.setStatus('');
+        } catch (error) {
+            console.error('Error printing report:', error);
+            this.setStatus(await this.translationService.translate('The report could not be created.', this.getLanguage()), 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+}
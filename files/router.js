@@ -0,0 +1,89 @@
+// Hash routes such as #/goal/13/prompt/2?lang=sv or #/goal/13/answer/<data>?lang=sv.
+// Shared answers carry the whole answer in the URL, compressed where the browser supports it,
+// so a link works for colleagues who do not have the answer stored locally.
+export class Router {
+    parse(hash = window.location.hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const segments = path.split('/').filter(segment => segment);
+        const params = new URLSearchParams(query);
+        const route = { goalId: null, promptIndex: null, answer: null, lang: params.get('lang') };
+
+        for (let i = 0; i < segments.length; i += 2) {
+            const value = segments[i + 1];
+            if (value === undefined) break;
+
+            if (segments[i] === 'goal' && /^\d+$/.test(value)) {
+                route.goalId = Number(value);
+            } else if (segments[i] === 'prompt' && /^\d+$/.test(value)) {
+                route.promptIndex = Number(value);
+            } else if (segments[i] === 'answer') {
+                route.answer = value;
+            }
+        }
+
+        return route;
+    }
+
+    build({ goalId = null, promptIndex = null, answer = null, lang = null } = {}) {
+        let hash = '#/';
+        if (goalId !== null) {
+            hash += `goal/${goalId}`;
+            if (promptIndex !== null) hash += `/prompt/${promptIndex}`;
+            if (answer) hash += `/answer/${answer}`;
+        }
+        if (lang && lang !== 'en') {
+            hash += `?lang=${encodeURIComponent(lang)}`;
+        }
+        return hash;
+    }
+
+    navigate(route, { replace = false } = {}) {
+        const hash = this.build(route);
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    onChange(callback) {
+        window.addEventListener('popstate', () => callback(this.parse()));
+    }
+
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    // The first character records whether the payload is compressed ('z') or plain JSON ('j')
+    async encodeAnswer(answer) {
+        const bytes = new TextEncoder().encode(JSON.stringify(answer));
+        if (typeof CompressionStream === 'undefined') {
+            return 'j' + this.toBase64Url(bytes);
+        }
+        return 'z' + this.toBase64Url(await this.transform(bytes, new CompressionStream('deflate-raw')));
+    }
+
+    async decodeAnswer(encoded) {
+        let bytes = this.fromBase64Url(encoded.slice(1));
+        if (encoded[0] === 'z') {
+            bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+}
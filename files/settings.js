@@ -0,0 +1,166 @@
+import { CONFIG } from './config.js';
+
+// Instructions added to the system instruction for each response style; the labels are in #settingStyle
+const RESPONSE_STYLES = {
+    standard: '',
+    brief: 'Answer briefly: a two-sentence summary followed by at most five bullet points, under 200 words in total.',
+    policy: 'Write the answer as a policy brief for decision makers with the sections Summary, Context, Policy options, Recommendations and Evidence. Be concrete and name trade-offs.',
+    classroom: 'Explain the answer for secondary school students in plain language with short paragraphs, one real-world example and two discussion questions at the end.'
+};
+
+// Generation settings chosen in the settings panel, kept in localStorage. The model is stored per
+// provider, prompt templates per goal and the limits set in the usage panel per budget.
+export class SettingsManager {
+    static STORAGE_KEY = 'agenda2030ai-settings';
+    static DEFAULTS = {
+        temperature: 0.7,
+        maxTokens: 2048,
+        style: 'standard',
+        goalContext: true,
+        grounding: 'off',
+        models: {},
+        templates: {},
+        budgets: {}
+    };
+
+    constructor({ getProvider, getGoal }) {
+        this.getProvider = getProvider;
+        this.getGoal = getGoal;
+        this.values = this.load();
+    }
+
+    initialize() {
+        const form = document.getElementById('settingsForm');
+
+        document.getElementById('settingsModal').addEventListener('show.bs.modal', () => this.render());
+
+        form.addEventListener('input', (e) => {
+            const field = e.target;
+            if (field.id === 'settingTemperature') {
+                this.set('temperature', Number(field.value));
+                document.getElementById('settingTemperatureValue').textContent = field.value;
+            } else if (field.id === 'settingMaxTokens' && field.checkValidity()) {
+                this.set('maxTokens', Number(field.value));
+            } else if (field.id === 'settingTemplate') {
+                this.setTemplate(this.getGoal().id, field.value);
+            }
+        });
+
+        document.getElementById('settingTemplateReset').addEventListener('click', () => {
+            this.setTemplate(this.getGoal().id, '');
+            this.render();
+        });
+
+        form.addEventListener('change', (e) => {
+            const field = e.target;
+            if (field.id === 'settingModel') {
+                this.setModel(this.getProvider().name, field.value);
+            } else if (field.id === 'settingStyle') {
+                this.set('style', field.value);
+            } else if (field.id === 'settingGoalContext') {
+                this.set('goalContext', field.checked);
+            } else if (field.id === 'settingGrounding') {
+                this.set('grounding', field.value);
+            }
+        });
+
+        form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.values = this.getDefaults();
+            this.save();
+            this.render();
+        });
+    }
+
+    // A fresh copy, so edits to models and templates never reach DEFAULTS
+    getDefaults() {
+        return JSON.parse(JSON.stringify(SettingsManager.DEFAULTS));
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SettingsManager.STORAGE_KEY)) || {};
+            return { ...this.getDefaults(), ...stored };
+        } catch (error) {
+            return this.getDefaults();
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SettingsManager.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+    }
+
+    // The chosen model when the provider still offers it, otherwise the provider's default
+    getModel(provider) {
+        const model = this.values.models[provider.name];
+        return provider.getModels().includes(model) ? model : provider.getModel();
+    }
+
+    setModel(providerName, model) {
+        this.values.models = { ...this.values.models, [providerName]: model };
+        this.save();
+    }
+
+    // The goal's own template, or CONFIG.PROMPT_TEMPLATE when it has none
+    getTemplate(goalId) {
+        return this.values.templates[goalId] || CONFIG.PROMPT_TEMPLATE;
+    }
+
+    setTemplate(goalId, template) {
+        const templates = { ...this.values.templates };
+        if (template.trim() && template !== CONFIG.PROMPT_TEMPLATE) {
+            templates[goalId] = template;
+        } else {
+            delete templates[goalId];
+        }
+        this.set('templates', templates);
+    }
+
+    // The budgets are named in UsageMeter.BUDGETS; null removes the limit
+    setBudget(budget, limit) {
+        const budgets = { ...this.values.budgets };
+        if (limit === null) {
+            delete budgets[budget];
+        } else {
+            budgets[budget] = limit;
+        }
+        this.set('budgets', budgets);
+    }
+
+    getStyleInstruction() {
+        return RESPONSE_STYLES[this.values.style] || '';
+    }
+
+    render() {
+        const provider = this.getProvider();
+        const modelSelect = document.getElementById('settingModel');
+        modelSelect.replaceChildren(...provider.getModels().map(model => new Option(model, model)));
+        modelSelect.value = this.getModel(provider);
+
+        document.getElementById('settingTemperature').value = this.values.temperature;
+        document.getElementById('settingTemperatureValue').textContent = this.values.temperature;
+        document.getElementById('settingMaxTokens').value = this.values.maxTokens;
+        document.getElementById('settingStyle').value = this.values.style;
+        document.getElementById('settingGoalContext').checked = this.values.goalContext;
+        document.getElementById('settingGrounding').value = this.values.grounding;
+
+        // The title from the goals list, which is already translated
+        const goal = this.getGoal();
+        const title = document.querySelector(`#goal-tab-${goal.id} .goal-nav-title`);
+        document.getElementById('settingTemplateGoal').textContent = `${goal.id}. ${title ? title.textContent : goal.title}`;
+        document.getElementById('settingTemplate').value = this.getTemplate(goal.id);
+    }
+}
@@ -0,0 +1,208 @@
+import { CONFIG } from './config.js';
+
+export class TranslationBackendError extends Error {
+    constructor(message, { backend, status = null } = {}) {
+        super(message);
+        this.name = 'TranslationBackendError';
+        this.backend = backend;
+        this.status = status;
+    }
+}
+
+// Each backend declares what it can do; TranslationService reads these to decide
+// chunk sizes, pacing and whether page strings can be sent in one batch request.
+class TranslationBackend {
+    constructor(name, { supportsBatch = false, maxBatchSize = 1, maxTextLength = 450, requestDelay = 1000, supportedLanguages = null } = {}) {
+        this.name = name;
+        this.supportsBatch = supportsBatch;
+        this.maxBatchSize = maxBatchSize;
+        this.maxTextLength = maxTextLength;
+        this.requestDelay = requestDelay;
+        // null means the list is fetched from the service by fetchSupportedLanguages
+        this.supportedLanguages = supportedLanguages;
+    }
+
+    async request(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            throw new TranslationBackendError(`Could not reach ${this.name}: ${error.message}`, { backend: this.name });
+        }
+
+        if (!response.ok) {
+            throw new TranslationBackendError(`Translation API error: ${response.status}`, {
+                backend: this.name,
+                status: response.status
+            });
+        }
+
+        return response.json();
+    }
+
+    toBackendLanguage(language) {
+        return language;
+    }
+
+    async translate(text, targetLang) {
+        const [translatedText] = await this.translateBatch([text], targetLang);
+        return translatedText;
+    }
+
+    async getSupportedLanguages() {
+        if (!this.supportedLanguages) {
+            this.supportedLanguages = await this.fetchSupportedLanguages();
+        }
+        return this.supportedLanguages;
+    }
+
+    async fetchSupportedLanguages() {
+        return [];
+    }
+}
+
+class MyMemoryBackend extends TranslationBackend {
+    constructor() {
+        super('mymemory', {
+            maxTextLength: 450, // MyMemory rejects queries longer than 500 bytes
+            requestDelay: 1000,
+            supportedLanguages: [
+                'af', 'am', 'ar', 'bg', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'es', 'et', 'fa', 'fi', 'fr',
+                'he', 'hi', 'hr', 'hu', 'id', 'is', 'it', 'ja', 'ko', 'lt', 'lv', 'ms', 'nl', 'no', 'pl',
+                'pt', 'ro', 'ru', 'sk', 'sl', 'sr', 'sv', 'sw', 'ta', 'th', 'tr', 'uk', 'ur', 'vi', 'zh', 'zu'
+            ]
+        });
+    }
+
+    async translate(text, targetLang) {
+        const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=en|${targetLang}`;
+        const data = await this.request(url);
+
+        if (!data.responseData?.translatedText) {
+            throw new TranslationBackendError('No translation returned from API', { backend: this.name });
+        }
+
+        return data.responseData.translatedText;
+    }
+
+    async translateBatch(texts, targetLang) {
+        const results = [];
+        for (const text of texts) {
+            results.push(await this.translate(text, targetLang));
+        }
+        return results;
+    }
+}
+
+// Google Translate and DeepL need API keys, so they are reached through the server's
+// /api/translate route, which adds the key; DeepL does not allow calls from browsers anyway
+class ProxiedTranslationBackend extends TranslationBackend {
+    async translateBatch(texts, targetLang) {
+        const data = await this.request(CONFIG.TRANSLATE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                backend: this.name,
+                texts,
+                target: this.toBackendLanguage(targetLang)
+            })
+        });
+
+        return data.translations;
+    }
+
+    // The service's own codes, such as 'zh-CN' or 'PT-BR', are reduced to the app's language codes
+    async fetchSupportedLanguages() {
+        const data = await this.request(`${CONFIG.TRANSLATE_API_URL}/languages?backend=${encodeURIComponent(this.name)}`);
+        return [...new Set(data.languages.map(language => this.fromBackendLanguage(language)))];
+    }
+
+    fromBackendLanguage(language) {
+        return language.split('-')[0].toLowerCase();
+    }
+}
+
+class GoogleTranslateBackend extends ProxiedTranslationBackend {
+    constructor() {
+        super('google', {
+            supportsBatch: true,
+            maxBatchSize: 128,
+            maxTextLength: 5000,
+            requestDelay: 100
+        });
+    }
+
+    toBackendLanguage(language) {
+        return language === 'zh' ? 'zh-CN' : language;
+    }
+}
+
+// DeepL's target languages are asked from the service rather than listed here, so languages it
+// adds, such as Hebrew, Persian or Hindi, are translated as soon as the account's API offers them
+class DeepLBackend extends ProxiedTranslationBackend {
+    constructor() {
+        super('deepl', {
+            supportsBatch: true,
+            maxBatchSize: 50,
+            maxTextLength: 5000,
+            requestDelay: 100
+        });
+    }
+
+    toBackendLanguage(language) {
+        // DeepL names Norwegian by its written standard, Bokmål
+        const variants = { en: 'EN-US', no: 'NB', pt: 'PT-PT', zh: 'ZH-HANS' };
+        return variants[language] || language.toUpperCase();
+    }
+
+    fromBackendLanguage(language) {
+        return language === 'NB' ? 'no' : super.fromBackendLanguage(language);
+    }
+}
+
+class LibreTranslateBackend extends TranslationBackend {
+    constructor() {
+        super('libretranslate', {
+            supportsBatch: true,
+            maxBatchSize: 50,
+            maxTextLength: 2000,
+            requestDelay: 0
+        });
+    }
+
+    async translateBatch(texts, targetLang) {
+        const data = await this.request(`${CONFIG.LIBRETRANSLATE_URL}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                q: texts,
+                source: 'en',
+                target: targetLang,
+                format: 'text',
+                ...(CONFIG.LIBRETRANSLATE_API_KEY ? { api_key: CONFIG.LIBRETRANSLATE_API_KEY } : {})
+            })
+        });
+
+        return Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+    }
+
+    async fetchSupportedLanguages() {
+        const languages = await this.request(`${CONFIG.LIBRETRANSLATE_URL}/languages`);
+        return languages.map(language => language.code);
+    }
+}
+
+const TRANSLATION_BACKENDS = {
+    mymemory: MyMemoryBackend,
+    google: GoogleTranslateBackend,
+    deepl: DeepLBackend,
+    libretranslate: LibreTranslateBackend
+};
+
+export function createTranslationBackend(name) {
+    const Backend = TRANSLATION_BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown translation backend: ${name}`);
+    }
+    return new Backend();
+}
@@ -0,0 +1,101 @@
+// Stores translations in IndexedDB so they survive reloads. Entries are keyed by a hash of
+// the English source text, so editing a string in goals.js makes its old translation unused.
+export class TranslationCache {
+    // Bump to discard every stored translation (e.g. after switching translation backend)
+    static VERSION = 1;
+
+    static DB_NAME = 'agenda2030ai-translations';
+    static STORE_NAME = 'translations';
+
+    // cyrb53: a fast, non-cryptographic 53-bit string hash
+    static hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    static key(text, targetLang) {
+        return `${targetLang}:${TranslationCache.hash(text)}`;
+    }
+
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(TranslationCache.DB_NAME, TranslationCache.VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // A new version invalidates everything stored by the previous one
+                    if (db.objectStoreNames.contains(TranslationCache.STORE_NAME)) {
+                        db.deleteObjectStore(TranslationCache.STORE_NAME);
+                    }
+                    db.createObjectStore(TranslationCache.STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.error('Translation cache unavailable:', error);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(TranslationCache.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(TranslationCache.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async get(text, targetLang) {
+        try {
+            const entry = await this.transaction('readonly', store => store.get(TranslationCache.key(text, targetLang)));
+            return entry ? entry.text : null;
+        } catch (error) {
+            console.error('Error reading translation cache:', error);
+            return null;
+        }
+    }
+
+    async set(text, targetLang, translatedText) {
+        try {
+            await this.transaction('readwrite', store => store.put({
+                key: TranslationCache.key(text, targetLang),
+                lang: targetLang,
+                text: translatedText,
+                createdAt: Date.now()
+            }));
+        } catch (error) {
+            console.error('Error writing translation cache:', error);
+        }
+    }
+
+    async clear() {
+        try {
+            await this.transaction('readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Error clearing translation cache:', error);
+        }
+    }
+}
@@ -1,11 +1,27 @@
-class TranslationService {
-    constructor() {
+import { CONFIG } from './config.js';
+import { MarkdownRenderer } from './markdown.js';
+import { createTranslationBackend } from './translation-backends.js';
+import { TranslationCache } from './translation-cache.js';
+
+export class TranslationService {
+    // usage is an optional UsageMeter that records requests, characters and cache hits
+    constructor(backendName = CONFIG.TRANSLATION_BACKEND, usage = null) {
         this.currentLanguage = 'en';
+        this.usage = usage;
         this.cache = new Map();
+        this.persistentCache = new TranslationCache();
+        this.loadedPacks = new Set();
+        this.markdownRenderer = new MarkdownRenderer();
         this.requestQueue = [];
         this.isProcessingQueue = false;
         this.retryDelay = 1000; // Start with 1 second delay
         this.maxRetries = 3;
+        this.setBackend(backendName);
+    }
+
+    setBackend(backendName) {
+        this.backend = createTranslationBackend(backendName);
+        this.maxChunkLength = this.backend.maxTextLength;
     }
 
     sleep(ms) {
@@ -32,46 +48,32 @@ class TranslationService {
             const { text, targetLang, resolve, reject } = this.requestQueue[0];
             
             try {
-                const result = await this.translateWithRetry(text, targetLang);
+                const result = await this.translateMetered(text, targetLang);
                 resolve(result);
             } catch (error) {
                 reject(error);
             }
 
             this.requestQueue.shift();
-            await this.sleep(1000); // Wait 1 second between requests
+            await this.sleep(this.backend.requestDelay); // Stay under the backend's rate limit
         }
 
         this.isProcessingQueue = false;
     }
 
+    // text may also be an array of strings, which is sent as one batch request
     async translateWithRetry(text, targetLang, retryCount = 0) {
         try {
-            const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=en|${targetLang}`;
-            const response = await fetch(url);
-
-            if (response.status === 429 && retryCount < this.maxRetries) {
-                console.log(`Rate limited, retrying in ${this.retryDelay}ms...`);
-                await this.sleep(this.retryDelay);
-                this.retryDelay *= 2; // Exponential backoff
-                return this.translateWithRetry(text, targetLang, retryCount + 1);
-            }
-
-            if (!response.ok) {
-                throw new Error(`Translation API error: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const translatedText = Array.isArray(text)
+                ? await this.backend.translateBatch(text, targetLang)
+                : await this.backend.translate(text, targetLang);
             this.retryDelay = 1000; // Reset delay after successful request
-            
-            if (!data.responseData?.translatedText) {
-                throw new Error('No translation returned from API');
-            }
-
-            return data.responseData.translatedText;
+            return translatedText;
         } catch (error) {
             if (retryCount < this.maxRetries) {
-                console.log(`Error occurred, retrying in ${this.retryDelay}ms...`);
+                console.log(error.status === 429
+                    ? `Rate limited, retrying in ${this.retryDelay}ms...`
+                    : `Error occurred, retrying in ${this.retryDelay}ms...`);
                 await this.sleep(this.retryDelay);
                 this.retryDelay *= 2;
                 return this.translateWithRetry(text, targetLang, retryCount + 1);
@@ -80,19 +82,50 @@ class TranslationService {
         }
     }
 
+    // Goes through the usage meter, which times the request with its retries, counts the characters
+    // sent and refuses the request once the translation budget is used up
+    translateMetered(text, targetLang) {
+        if (!this.usage) return this.translateWithRetry(text, targetLang);
+
+        const characters = [].concat(text).reduce((count, item) => count + item.length, 0);
+        return this.usage.trackTranslation({ backend: this.backend.name, characters },
+            () => this.translateWithRetry(text, targetLang));
+    }
+
+    recordCacheLookup(hit) {
+        if (this.usage) this.usage.recordCacheLookup(hit);
+    }
+
     async translate(text, targetLang) {
         if (targetLang === 'en') return text;
         if (!text || text.trim() === '') return text;
+        if (text.length > this.maxChunkLength) return this.translateMarkdown(text, targetLang);
+        if (!(await this.supportsLanguage(targetLang))) return text;
 
-        const cacheKey = `${text}:${targetLang}`;
+        const cacheKey = TranslationCache.key(text, targetLang);
         if (this.cache.has(cacheKey)) {
+            this.recordCacheLookup(true);
             return this.cache.get(cacheKey);
         }
 
+        const storedText = await this.persistentCache.get(text, targetLang);
+        if (storedText !== null) {
+            this.cache.set(cacheKey, storedText);
+            this.recordCacheLookup(true);
+            return storedText;
+        }
+
+        // Offline: keep the English text instead of waiting for every retry to fail
+        if (!navigator.onLine) return text;
+        this.recordCacheLookup(false);
+        // The same once the translation budget is used up
+        if (this.usage && this.usage.isOverBudget('translation')) return text;
+
         try {
             console.log(`Translating to ${targetLang}:`, text);
             const translatedText = await this.queueTranslation(text, targetLang);
             this.cache.set(cacheKey, translatedText);
+            this.persistentCache.set(text, targetLang, translatedText);
             return translatedText;
         } catch (error) {
             console.error('Translation error:', error);
@@ -100,6 +133,156 @@ class TranslationService {
         }
     }
 
+    // Packs whole sentences into chunks below the API's length limit; a sentence that is
+    // too long on its own is cut at word boundaries, and a single huge word by length
+    splitIntoChunks(text) {
+        if (text.length <= this.maxChunkLength) return [text];
+
+        const chunks = [];
+        let current = '';
+        const addPiece = (piece) => {
+            if (current && (current + piece).length > this.maxChunkLength) {
+                chunks.push(current);
+                current = '';
+            }
+            current += piece;
+        };
+
+        const sentences = text.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [text];
+        sentences.forEach(sentence => {
+            if (sentence.length <= this.maxChunkLength) {
+                addPiece(sentence);
+                return;
+            }
+            sentence.split(/(?<=\s)/).forEach(word => {
+                for (let i = 0; i < word.length; i += this.maxChunkLength) {
+                    addPiece(word.slice(i, i + this.maxChunkLength));
+                }
+            });
+        });
+        if (current) chunks.push(current);
+
+        return chunks;
+    }
+
+    // Translators drop surrounding spaces, which would glue prose onto links, code and neighbouring chunks
+    async translateChunk(chunk, targetLang) {
+        const [, leading, text, trailing] = chunk.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return leading + await this.translate(text, targetLang) + trailing;
+    }
+
+    // Translates only the prose of a Markdown text so headings, lists, tables and code keep their
+    // structure. Long paragraphs are split into chunks; onProgress receives { completed, total } chunks.
+    async translateMarkdown(markdown, targetLang, onProgress = () => {}) {
+        if (targetLang === 'en') return markdown;
+        if (!markdown || markdown.trim() === '') return markdown;
+
+        const lines = this.markdownRenderer.splitForTranslation(markdown).map(parts => parts.map(part =>
+            part.translate && part.text.trim() !== ''
+                ? { ...part, chunks: this.splitIntoChunks(part.text) }
+                : part));
+        const total = lines.flat().reduce((count, part) => count + (part.chunks ? part.chunks.length : 0), 0);
+        let completed = 0;
+        onProgress({ completed, total });
+
+        const translatedLines = await Promise.all(lines.map(async (parts) => {
+            const translatedParts = await Promise.all(parts.map(async (part) => {
+                if (!part.chunks) return part.text;
+
+                const translatedChunks = await Promise.all(part.chunks.map(async (chunk) => {
+                    const translated = await this.translateChunk(chunk, targetLang);
+                    completed++;
+                    onProgress({ completed, total });
+                    return translated;
+                }));
+                return translatedChunks.join('');
+            }));
+            return translatedParts.join('');
+        }));
+
+        return translatedLines.join('\n');
+    }
+
+    async supportsLanguage(targetLang) {
+        try {
+            const languages = await this.backend.getSupportedLanguages();
+            return languages.length === 0 || languages.includes(targetLang);
+        } catch (error) {
+            // If the backend cannot tell us, let the translation request decide
+            return true;
+        }
+    }
+
+    // Sends all uncached strings to a batch-capable backend in as few requests as possible,
+    // so the per-element translation that follows is served from the cache
+    async prefetchTranslations(texts, targetLang) {
+        if (!this.backend.supportsBatch || targetLang === 'en') return;
+        if (!(await this.supportsLanguage(targetLang))) return;
+
+        const missing = [];
+        for (const text of new Set(texts)) {
+            if (!text || text.trim() === '' || text.length > this.maxChunkLength) continue;
+            if (this.cache.has(TranslationCache.key(text, targetLang))) continue;
+
+            const storedText = await this.persistentCache.get(text, targetLang);
+            if (storedText !== null) {
+                this.cache.set(TranslationCache.key(text, targetLang), storedText);
+                continue;
+            }
+            missing.push(text);
+        }
+
+        if (this.usage && this.usage.isOverBudget('translation')) return;
+        for (let i = 0; i < missing.length; i += this.backend.maxBatchSize) {
+            const batch = missing.slice(i, i + this.backend.maxBatchSize);
+            try {
+                console.log(`Translating batch of ${batch.length} to ${targetLang}`);
+                const translations = await this.queueTranslation(batch, targetLang);
+                batch.forEach((text, index) => {
+                    this.cache.set(TranslationCache.key(text, targetLang), translations[index]);
+                    this.persistentCache.set(text, targetLang, translations[index]);
+                });
+            } catch (error) {
+                console.error('Batch translation error:', error);
+            }
+        }
+    }
+
+    // Synchronous lookup in the in-memory cache, which holds the language pack and everything translated so far
+    getCachedTranslation(text, targetLang) {
+        if (targetLang === 'en') return text;
+        return this.cache.get(TranslationCache.key(text, targetLang)) || null;
+    }
+
+    // Elements marked data-translate-lazy (SDG targets and indicators) are only translated once the
+    // <details> around them is opened, so a language change does not queue hundreds of requests
+    isRevealed(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            if (node.tagName === 'DETAILS' && !node.open) {
+                const summary = node.querySelector(':scope > summary');
+                if (!summary || !summary.contains(element)) return false;
+            }
+        }
+        return true;
+    }
+
+    getTranslatableElements(root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-translate]'));
+        const lazyElements = Array.from(root.querySelectorAll('[data-translate-lazy]'))
+            .filter(element => this.isRevealed(element));
+        return elements.concat(lazyElements);
+    }
+
+    async translateRevealed(root, targetLang) {
+        const elements = Array.from(root.querySelectorAll('[data-translate-lazy]'))
+            .filter(element => this.isRevealed(element)
+                && (element.getAttribute('data-translated-lang') || 'en') !== targetLang);
+        if (elements.length === 0) return;
+
+        await this.prefetchTranslations(elements.map(element => element.getAttribute('data-original-text')), targetLang);
+        await Promise.all(elements.map(element => this.translateElement(element, targetLang)));
+    }
+
     async translateElement(element, targetLang) {
         if (!element) return;
         
@@ -111,29 +294,61 @@ class TranslationService {
             
             if (targetLang === 'en') {
                 element.textContent = originalText;
+                element.removeAttribute('data-translated-lang');
                 return;
             }
 
             console.log('Translating element:', originalText);
             const translatedText = await this.translate(originalText, targetLang);
             element.textContent = translatedText;
+            element.setAttribute('data-translated-lang', targetLang);
         } catch (error) {
             console.error('Error translating element:', error);
         }
     }
 
+    // Language packs are generated by tools/build-language-packs.js and hold translations of
+    // all static strings, keyed the same way as the cache so edited strings simply miss
+    async loadLanguagePack(targetLang) {
+        if (targetLang === 'en' || this.loadedPacks.has(targetLang)) return;
+        this.loadedPacks.add(targetLang);
+
+        try {
+            const response = await fetch(`files/i18n/${targetLang}.json`);
+            if (!response.ok) return;
+
+            const pack = await response.json();
+            if (pack.version !== TranslationCache.VERSION) {
+                console.log(`Ignoring outdated language pack for ${targetLang}`);
+                return;
+            }
+
+            Object.entries(pack.entries || {}).forEach(([hash, translatedText]) => {
+                this.cache.set(`${targetLang}:${hash}`, translatedText);
+            });
+            console.log(`Loaded language pack for ${targetLang}:`, Object.keys(pack.entries || {}).length);
+        } catch (error) {
+            console.error('Error loading language pack:', error);
+        }
+    }
+
     async translatePage(targetLang) {
         console.log('Starting page translation to:', targetLang);
         this.currentLanguage = targetLang;
 
         try {
-            const elements = document.querySelectorAll('[data-translate]');
+            await this.loadLanguagePack(targetLang);
+
+            const elements = this.getTranslatableElements();
             console.log('Found elements to translate:', elements.length);
 
+            await this.prefetchTranslations(elements.map(element =>
+                element.getAttribute('data-original-text') || element.textContent.trim()), targetLang);
+
             // Translate elements in smaller batches
             const batchSize = 3;
             for (let i = 0; i < elements.length; i += batchSize) {
-                const batch = Array.from(elements).slice(i, i + batchSize);
+                const batch = elements.slice(i, i + batchSize);
                 await Promise.all(batch.map(element => this.translateElement(element, targetLang)));
             }
         } catch (error) {
@@ -143,13 +358,7 @@ class TranslationService {
 
     async getAvailableLanguages() {
         try {
-            const response = await fetch('https://api.mymemory.translated.net/get?q=hello&langpair=en|en');
-            if (!response.ok) {
-                throw new Error(`Failed to fetch languages: ${response.status}`);
-            }
-            const data = await response.json();
-            const languages = data.responseData?.supportedLanguages || [];
-            return languages;
+            return await this.backend.getSupportedLanguages();
         } catch (error) {
             console.error('Error fetching languages:', error);
             return [];
@@ -0,0 +1,248 @@
+import { UsageMeter } from './usage-meter.js';
+
+function average(total, count) {
+    return count ? Math.round(total / count) : null;
+}
+
+function hitRate(totals) {
+    const lookups = totals.cacheHits + totals.cacheMisses;
+    return lookups ? Math.round(totals.cacheHits / lookups * 100) : null;
+}
+
+// Rows of the session and today table. value(totals) is null when there is nothing to average yet.
+export const USAGE_METRICS = [
+    { label: 'AI requests', value: totals => totals.aiCalls },
+    { label: 'Failed AI requests', value: totals => totals.aiFailures },
+    { label: 'Average AI response time (ms)', value: totals => average(totals.aiLatencyMs, totals.aiCalls) },
+    { label: 'Input tokens', value: totals => totals.inputTokens },
+    { label: 'Output tokens', value: totals => totals.outputTokens },
+    { label: 'Estimated cost', value: totals => totals.cost, currency: true },
+    { label: 'Translation requests', value: totals => totals.translationRequests },
+    { label: 'Failed translation requests', value: totals => totals.translationFailures },
+    { label: 'Average translation time (ms)', value: totals => average(totals.translationLatencyMs, totals.translationRequests) },
+    { label: 'Characters translated', value: totals => totals.characters },
+    { label: 'Translation cache hit rate (%)', value: hitRate }
+];
+
+// Shown while the budget of that kind of call is used up, followed by the budget's label
+export const USAGE_ALERTS = {
+    ai: 'AI requests are paused because a budget is used up:',
+    translation: 'Translations are paused because a budget is used up:'
+};
+
+// The usage panel: what AI and translation calls used this session, today, per goal and in recent
+// sessions, the latest failures, and the budget limits that UsageMeter enforces.
+export class UsageDashboard {
+    constructor({ usage, settings, goalsManager, markdownRenderer, translationService, locale, getLanguage }) {
+        this.usage = usage;
+        this.settings = settings;
+        this.goalsManager = goalsManager;
+        this.markdownRenderer = markdownRenderer;
+        this.translationService = translationService;
+        this.locale = locale;
+        this.getLanguage = getLanguage;
+    }
+
+    initialize() {
+        document.getElementById('usageModal').addEventListener('show.bs.modal', () => this.render());
+
+        // An empty field removes the limit
+        document.getElementById('usageBudgetForm').addEventListener('input', (e) => {
+            const field = e.target;
+            const budget = field.getAttribute('data-budget');
+            if (!budget) return;
+
+            if (field.value === '') {
+                this.settings.setBudget(budget, null);
+            } else if (field.checkValidity()) {
+                this.settings.setBudget(budget, Number(field.value));
+            } else {
+                return;
+            }
+            this.renderBudgetUse();
+            this.renderAlerts();
+            this.translate(document.getElementById('usageBudgetForm'));
+            this.translate(document.getElementById('usageAlerts'));
+        });
+
+        document.getElementById('usageReset').addEventListener('click', async () => {
+            const confirmText = await this.translationService.translate('Clear all recorded usage?', this.getLanguage());
+            if (window.confirm(confirmText)) {
+                this.usage.reset();
+                this.render();
+            }
+        });
+    }
+
+    async render() {
+        const budgets = this.settings.get('budgets') || {};
+        document.querySelectorAll('#usageBudgetForm [data-budget]').forEach(field => {
+            const limit = budgets[field.getAttribute('data-budget')];
+            field.value = typeof limit === 'number' ? limit : '';
+        });
+
+        this.renderAlerts();
+        this.renderBudgetUse();
+        this.renderSummary();
+        this.renderDetails();
+        await this.translate(document.getElementById('usageModal'));
+    }
+
+    formatValue(value, { currency = false } = {}) {
+        if (value === null) return '–';
+        return currency
+            ? `<span data-currency="${value}">${this.locale.formatCurrency(value)}</span>`
+            : `<span data-number="${value}">${this.locale.formatNumber(value)}</span>`;
+    }
+
+    renderAlerts() {
+        const escape = (text) => this.markdownRenderer.escapeHtml(text);
+
+        document.getElementById('usageAlerts').innerHTML = Object.entries(USAGE_ALERTS).map(([kind, text]) => {
+            const exceeded = this.usage.getExceededBudget(kind);
+            if (!exceeded) return '';
+            return `
+                <div class="alert alert-warning" data-budget-exceeded="${exceeded.budget}">
+                    <span data-translate>${escape(text)}</span>
+                    <span data-translate>${escape(UsageMeter.BUDGETS[exceeded.budget].label)}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // How much of each budget is used, under its field
+    renderBudgetUse() {
+        document.querySelectorAll('#usageBudgetForm [data-budget]').forEach(field => {
+            const budget = field.getAttribute('data-budget');
+            const { scope, measure } = UsageMeter.BUDGETS[budget];
+            const used = measure(this.usage.getTotals(scope));
+            document.getElementById(`${field.id}Used`).innerHTML = `
+                <span data-translate>Used so far:</span> ${this.formatValue(used, { currency: budget === 'dailyCost' })}
+            `;
+        });
+    }
+
+    renderSummary() {
+        const session = this.usage.getTotals('session');
+        const today = this.usage.getTotals('day');
+
+        document.getElementById('usageSummary').innerHTML = `
+            <table class="table table-sm usage-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="visually-hidden" data-translate>Measure</span></th>
+                        <th scope="col" class="text-end" data-translate>This session</th>
+                        <th scope="col" class="text-end" data-translate>Today</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${USAGE_METRICS.map(metric => `
+                        <tr>
+                            <th scope="row" class="fw-normal" data-translate>${metric.label}</th>
+                            <td class="text-end">${this.formatValue(metric.value(session), metric)}</td>
+                            <td class="text-end">${this.formatValue(metric.value(today), metric)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Columns shared by the goal and session tables
+    renderTotalsCells(totals) {
+        return `
+            <td class="text-end">${this.formatValue(totals.aiCalls)}</td>
+            <td class="text-end">${this.formatValue(totals.inputTokens + totals.outputTokens)}</td>
+            <td class="text-end">${this.formatValue(totals.cost, { currency: true })}</td>
+            <td class="text-end">${this.formatValue(totals.characters)}</td>
+            <td class="text-end">${this.formatValue(hitRate(totals))}</td>
+            <td class="text-end">${this.formatValue(totals.aiFailures + totals.translationFailures)}</td>
+        `;
+    }
+
+    renderTotalsHeader(firstColumn) {
+        return `
+            <thead>
+                <tr>
+                    ${firstColumn}
+                    <th scope="col" class="text-end" data-translate>AI requests</th>
+                    <th scope="col" class="text-end" data-translate>Tokens</th>
+                    <th scope="col" class="text-end" data-translate>Estimated cost</th>
+                    <th scope="col" class="text-end" data-translate>Characters translated</th>
+                    <th scope="col" class="text-end" data-translate>Cache hit rate (%)</th>
+                    <th scope="col" class="text-end" data-translate>Failures</th>
+                </tr>
+            </thead>
+        `;
+    }
+
+    renderDetails() {
+        const escape = (text) => this.markdownRenderer.escapeHtml(text);
+        const goals = this.usage.getGoalTotals();
+        const sessions = this.usage.getSessions();
+        const failures = this.usage.getFailures();
+
+        if (goals.length === 0 && sessions.length === 0) {
+            document.getElementById('usageDetails').innerHTML = '<p class="text-muted" data-translate>No usage recorded yet.</p>';
+            return;
+        }
+
+        const goalRows = goals.map(({ goalId, totals }) => {
+            const goal = this.goalsManager.getGoal(goalId);
+            return `
+                <tr data-goal-id="${goalId}">
+                    <th scope="row" class="fw-normal">
+                        <span data-number="${goalId}">${this.locale.formatNumber(goalId)}</span>.
+                        ${goal ? `<span data-translate data-original-text="${escape(goal.title)}">${escape(goal.title)}</span>` : ''}
+                    </th>
+                    ${this.renderTotalsCells(totals)}
+                </tr>
+            `;
+        }).join('');
+
+        const sessionRows = sessions.map(session => `
+            <tr data-session-id="${escape(session.id)}">
+                <th scope="row" class="fw-normal">
+                    <span data-date="${new Date(session.startedAt).toISOString()}">${escape(this.locale.formatDate(session.startedAt))}</span>
+                    ${session.id === this.usage.session.id ? '<span class="badge text-bg-primary" data-translate>This session</span>' : ''}
+                </th>
+                ${this.renderTotalsCells(session.totals)}
+            </tr>
+        `).join('');
+
+        document.getElementById('usageDetails').innerHTML = `
+            <h6 class="mt-4" data-translate>Per goal</h6>
+            <div class="table-responsive">
+                <table class="table table-sm usage-table" id="usageGoals">
+                    ${this.renderTotalsHeader('<th scope="col" data-translate>Goal</th>')}
+                    <tbody>${goalRows}</tbody>
+                </table>
+            </div>
+            <h6 class="mt-4" data-translate>Recent sessions</h6>
+            <div class="table-responsive">
+                <table class="table table-sm usage-table" id="usageSessions">
+                    ${this.renderTotalsHeader('<th scope="col" data-translate>Started</th>')}
+                    <tbody>${sessionRows}</tbody>
+                </table>
+            </div>
+            ${failures.length === 0 ? '' : `
+                <h6 class="mt-4" data-translate>Recent failures</h6>
+                <ul class="list-unstyled small usage-failures">
+                    ${failures.map(failure => `
+                        <li class="mb-1">
+                            <span class="text-muted" data-date="${new Date(failure.time).toISOString()}">${escape(this.locale.formatDate(failure.time))}</span>
+                            · ${escape(failure.source)} · <span class="font-monospace text-break">${escape(failure.message)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        `;
+    }
+
+    async translate(root) {
+        const language = this.getLanguage();
+        if (language === 'en') return;
+        await Promise.all(Array.from(root.querySelectorAll('[data-translate]'))
+            .map(element => this.translationService.translateElement(element, language)));
+    }
+}
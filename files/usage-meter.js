@@ -0,0 +1,301 @@
+import { CONFIG } from './config.js';
+
+// A call was refused because one of the budgets in the usage panel is used up. type selects the
+// message in AI_ERROR_MESSAGES, like the AI provider errors.
+export class BudgetExceededError extends Error {
+    constructor(message, { budget, limit, used }) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.type = 'budget';
+        this.retryable = false;
+        this.budget = budget;
+        this.limit = limit;
+        this.used = used;
+    }
+}
+
+// Records what AI and translation calls cost: latency, token counts, characters sent to the
+// translation backend, cache hits and failures. Totals are kept per session (page load), per goal
+// and per day in localStorage, and the budgets in the settings stop new calls once used up.
+// Every open tab saves to the same key, so a tab keeps only its unsaved changes and adds them to
+// what is stored, read again, when it saves or reads the totals.
+export class UsageMeter {
+    static STORAGE_KEY = 'agenda2030ai-usage';
+    static SESSION_LIMIT = 20;
+    static DAY_LIMIT = 31;
+    static FAILURE_LIMIT = 20;
+    // Cache lookups come in bursts while a page is translated and are saved together after this pause
+    static LOOKUP_SAVE_DELAY_MS = 1000;
+
+    // Daily budgets count today's totals, the session budget those of this page load
+    static BUDGETS = {
+        sessionTokens: { label: 'AI tokens per session', kind: 'ai', scope: 'session', measure: totals => totals.inputTokens + totals.outputTokens },
+        dailyTokens: { label: 'AI tokens per day', kind: 'ai', scope: 'day', measure: totals => totals.inputTokens + totals.outputTokens },
+        dailyCost: { label: 'Estimated AI cost per day (USD)', kind: 'ai', scope: 'day', measure: totals => totals.cost },
+        dailyCharacters: { label: 'Characters translated per day', kind: 'translation', scope: 'day', measure: totals => totals.characters }
+    };
+
+    constructor({ settings }) {
+        this.settings = settings;
+        // The selected goal, which calls are counted for unless they name another one
+        this.goalId = null;
+        // Only stored once something is recorded, so page loads without calls leave no empty sessions
+        this.session = { id: this.createId(), startedAt: Date.now(), totals: this.createTotals() };
+        this.sessionRecorded = false;
+        // Day and goal totals and failures recorded since the last save
+        this.unsaved = this.createChanges();
+        // Cache lookups not yet added to the totals, per goal
+        this.pendingLookups = new Map();
+        this.lookupTimer = null;
+    }
+
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    createTotals() {
+        return {
+            aiCalls: 0,
+            aiFailures: 0,
+            aiLatencyMs: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cost: 0,
+            translationRequests: 0,
+            translationFailures: 0,
+            translationLatencyMs: 0,
+            characters: 0,
+            cacheHits: 0,
+            cacheMisses: 0
+        };
+    }
+
+    createChanges() {
+        return { days: {}, goals: {}, failures: [] };
+    }
+
+    // Adds changes to totals, created when missing, and returns them
+    sumTotals(totals = this.createTotals(), changes) {
+        Object.entries(changes).forEach(([key, value]) => {
+            totals[key] = (totals[key] || 0) + value;
+        });
+        return totals;
+    }
+
+    load() {
+        const empty = { sessions: [], goals: {}, days: {}, failures: [] };
+        try {
+            return { ...empty, ...JSON.parse(localStorage.getItem(UsageMeter.STORAGE_KEY)) };
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    // The stored data, as other tabs may have saved it, with this tab's unsaved changes and session
+    sync() {
+        const data = this.load();
+        Object.entries(this.unsaved.days).forEach(([day, changes]) => {
+            data.days[day] = this.sumTotals(data.days[day], changes);
+        });
+        Object.keys(data.days).sort().slice(0, -UsageMeter.DAY_LIMIT).forEach(oldDay => delete data.days[oldDay]);
+        Object.entries(this.unsaved.goals).forEach(([goalId, changes]) => {
+            data.goals[goalId] = this.sumTotals(data.goals[goalId], changes);
+        });
+        if (this.sessionRecorded) {
+            const index = data.sessions.findIndex(session => session.id === this.session.id);
+            if (index === -1) {
+                data.sessions.push(this.session);
+            } else {
+                data.sessions[index] = this.session;
+            }
+            data.sessions = data.sessions.slice(-UsageMeter.SESSION_LIMIT);
+        }
+        data.failures = [...data.failures, ...this.unsaved.failures].slice(-UsageMeter.FAILURE_LIMIT);
+        return data;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(UsageMeter.STORAGE_KEY, JSON.stringify(this.sync()));
+            this.unsaved = this.createChanges();
+        } catch (error) {
+            console.error('Error saving usage data:', error);
+        }
+    }
+
+    // Clears what every tab recorded; other tabs keep counting from zero
+    reset() {
+        clearTimeout(this.lookupTimer);
+        this.pendingLookups.clear();
+        this.unsaved = this.createChanges();
+        this.session = { id: this.createId(), startedAt: Date.now(), totals: this.createTotals() };
+        this.sessionRecorded = false;
+        try {
+            localStorage.removeItem(UsageMeter.STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing usage data:', error);
+        }
+    }
+
+    // Local date, so daily budgets start over at the user's midnight
+    getDay(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Kept up to date by App, so the many cache lookups of a page translation do not query the DOM
+    setGoal(goalId) {
+        this.goalId = goalId;
+    }
+
+    // 'session' or 'day' (today)
+    getTotals(scope) {
+        this.flushLookups();
+        if (scope === 'session') return this.session.totals;
+        return this.sync().days[this.getDay()] || this.createTotals();
+    }
+
+    getGoalTotals() {
+        this.flushLookups();
+        return Object.entries(this.sync().goals)
+            .map(([goalId, totals]) => ({ goalId: Number(goalId), totals }))
+            .sort((a, b) => a.goalId - b.goalId);
+    }
+
+    // Newest first; the current session is included once it has recorded something
+    getSessions() {
+        return this.sync().sessions.reverse();
+    }
+
+    getFailures() {
+        return this.sync().failures.reverse();
+    }
+
+    getCost(model, { inputTokens = 0, outputTokens = 0 } = {}) {
+        const price = CONFIG.MODEL_PRICES[model];
+        if (!price) return 0;
+        return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+    }
+
+    // Adds changes to the session, today and the goal, and stores the session with them
+    add(changes, goalId) {
+        this.sessionRecorded = true;
+        // Pending cache lookups are saved now, with the changes
+        clearTimeout(this.lookupTimer);
+        this.flushLookups();
+        this.addTotals(changes, goalId);
+        this.save();
+    }
+
+    addTotals(changes, goalId) {
+        const day = this.getDay();
+        this.sumTotals(this.session.totals, changes);
+        this.unsaved.days[day] = this.sumTotals(this.unsaved.days[day], changes);
+        if (goalId) {
+            this.unsaved.goals[goalId] = this.sumTotals(this.unsaved.goals[goalId], changes);
+        }
+    }
+
+    // Adds the pending cache lookups to the totals without saving them
+    flushLookups() {
+        this.pendingLookups.forEach((changes, goalId) => this.addTotals(changes, goalId));
+        this.pendingLookups.clear();
+    }
+
+    // source is the AI provider or translation backend
+    addFailure(kind, source, error, goalId) {
+        this.unsaved.failures.push({ time: Date.now(), kind, source, type: error.type || error.name, message: error.message, goalId });
+    }
+
+    // The first used-up budget for 'ai' or 'translation' calls as { budget, limit, used }, or null.
+    // Budgets left empty in the settings have no limit.
+    getExceededBudget(kind) {
+        const budgets = this.settings.get('budgets') || {};
+        for (const [budget, { kind: budgetKind, scope, measure }] of Object.entries(UsageMeter.BUDGETS)) {
+            const limit = budgets[budget];
+            if (budgetKind !== kind || typeof limit !== 'number') continue;
+
+            const used = measure(this.getTotals(scope));
+            if (used >= limit) return { budget, limit, used };
+        }
+        return null;
+    }
+
+    isOverBudget(kind) {
+        return this.getExceededBudget(kind) !== null;
+    }
+
+    checkBudget(kind) {
+        const exceeded = this.getExceededBudget(kind);
+        if (exceeded) {
+            const { label } = UsageMeter.BUDGETS[exceeded.budget];
+            throw new BudgetExceededError(`Budget reached: ${label} is limited to ${exceeded.limit} (used ${Math.round(exceeded.used * 1e4) / 1e4})`, exceeded);
+        }
+    }
+
+    // Times one AI call, including its retries, and records its tokens or failure. call(onUsage)
+    // hands onUsage to the provider, which reports the token counts of the answer.
+    async trackAI({ provider, model, goalId = this.goalId }, call) {
+        this.checkBudget('ai');
+
+        let usage = null;
+        const started = performance.now();
+        try {
+            const result = await call((reported) => {
+                usage = reported;
+            });
+            this.recordAI(model, usage, performance.now() - started, goalId);
+            return result;
+        } catch (error) {
+            // A stopped answer is not a failure, but its tokens may still have been used
+            if (error.name === 'AbortError') {
+                this.recordAI(model, usage, performance.now() - started, goalId);
+            } else {
+                this.addFailure('ai', provider, error, goalId);
+                this.add({ aiCalls: 1, aiFailures: 1, aiLatencyMs: performance.now() - started }, goalId);
+            }
+            throw error;
+        }
+    }
+
+    recordAI(model, usage, latency, goalId) {
+        this.add({
+            aiCalls: 1,
+            aiLatencyMs: latency,
+            inputTokens: usage ? usage.inputTokens : 0,
+            outputTokens: usage ? usage.outputTokens : 0,
+            cost: this.getCost(model, usage || undefined)
+        }, goalId);
+    }
+
+    // Times one request to the translation backend, including its retries
+    async trackTranslation({ backend, characters, goalId = this.goalId }, call) {
+        this.checkBudget('translation');
+
+        const started = performance.now();
+        try {
+            const result = await call();
+            this.add({ translationRequests: 1, translationLatencyMs: performance.now() - started, characters }, goalId);
+            return result;
+        } catch (error) {
+            this.addFailure('translation', backend, error, goalId);
+            this.add({ translationRequests: 1, translationFailures: 1, translationLatencyMs: performance.now() - started }, goalId);
+            throw error;
+        }
+    }
+
+    // A translation served from the in-memory cache, the IndexedDB cache or a language pack, or a miss.
+    // Lookups are counted in memory and saved with the next call or after a pause, and on their own
+    // they do not store the session, so a page load served from the caches leaves no session behind.
+    recordCacheLookup(hit, goalId = this.goalId) {
+        const pending = this.pendingLookups.get(goalId) || { cacheHits: 0, cacheMisses: 0 };
+        pending[hit ? 'cacheHits' : 'cacheMisses']++;
+        this.pendingLookups.set(goalId, pending);
+
+        clearTimeout(this.lookupTimer);
+        this.lookupTimer = setTimeout(() => {
+            this.flushLookups();
+            this.save();
+        }, UsageMeter.LOOKUP_SAVE_DELAY_MS);
+    }
+}
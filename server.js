@@ -0,0 +1,375 @@
+// Serves the explorer and proxies Gemini, Google Translate and DeepL requests so the API keys stay
+// on the server.
+// Usage: GEMINI_API_KEY=your-key node server.js
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3000;
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+// {model} in the upstream URLs is replaced by the model the page asked for
+const GEMINI_API_URL = process.env.GEMINI_API_URL
+    || 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent';
+const GEMINI_STREAM_URL = process.env.GEMINI_STREAM_URL
+    || 'https://generativelanguage.googleapis.com/v1beta/models/{model}:streamGenerateContent';
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+// Models the page may choose in its settings; any other model is refused so clients cannot pick costlier ones
+const GEMINI_MODELS = [GEMINI_MODEL, ...(process.env.GEMINI_MODELS || 'gemini-2.0-flash-lite,gemini-2.5-flash,gemini-2.5-pro')
+    .split(',')
+    .map(model => model.trim())
+    .filter(model => model)];
+const GOOGLE_TRANSLATE_API_KEY = process.env.GOOGLE_TRANSLATE_API_KEY || '';
+const GOOGLE_TRANSLATE_URL = process.env.GOOGLE_TRANSLATE_URL || 'https://translation.googleapis.com/language/translate/v2';
+const DEEPL_API_KEY = process.env.DEEPL_API_KEY || '';
+const DEEPL_API_URL = process.env.DEEPL_API_URL || 'https://api-free.deepl.com/v2';
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 64 * 1024;
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX) || 20;
+// Translating a page takes many small requests, so translations have their own, larger allowance
+const TRANSLATE_RATE_LIMIT_MAX = Number(process.env.TRANSLATE_RATE_LIMIT_MAX) || 120;
+// The most strings one translation request may carry; Google accepts up to 128
+const MAX_TRANSLATE_TEXTS = 128;
+
+const ROOT = __dirname;
+const PUBLIC_DIRS = ['files'];
+// The service worker has to be served from the root to control the whole app
+const PUBLIC_FILES = ['index.html', 'sw.js', 'manifest.webmanifest'];
+
+// Only these request fields are forwarded to Gemini
+const ALLOWED_FIELDS = ['contents', 'systemInstruction', 'generationConfig', 'safetySettings', 'tools'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// code is sent as error.status, like Gemini's own errors, so the page can tell errors apart
+class HttpError extends Error {
+    constructor(status, message, code = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const rateLimits = new Map();
+
+// Each route counts its requests separately, keyed by route and IP
+function isRateLimited(ip, route = 'generate', max = RATE_LIMIT_MAX) {
+    const now = Date.now();
+    const key = `${route} ${ip}`;
+    const entry = rateLimits.get(key);
+
+    if (!entry || now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+        rateLimits.set(key, { windowStart: now, count: 1 });
+        return false;
+    }
+
+    entry.count++;
+    return entry.count > max;
+}
+
+// Drop expired windows so the map does not grow with every client ever seen
+setInterval(() => {
+    const now = Date.now();
+    rateLimits.forEach((entry, key) => {
+        if (now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+            rateLimits.delete(key);
+        }
+    });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const declaredLength = Number(req.headers['content-length']);
+        if (declaredLength > MAX_BODY_BYTES) {
+            reject(new HttpError(413, 'Request body too large'));
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            // Keep draining the socket so the 413 response can still be delivered
+            if (size <= MAX_BODY_BYTES) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseGenerateRequest(rawBody) {
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON');
+    }
+
+    if (!body || !Array.isArray(body.contents) || body.contents.length === 0) {
+        throw new HttpError(400, 'Request must include a non-empty contents array');
+    }
+
+    const model = body.model === undefined ? GEMINI_MODEL : body.model;
+    if (!GEMINI_MODELS.includes(model)) {
+        throw new HttpError(400, `Model is not allowed: ${String(model).slice(0, 100)}`, 'MODEL_NOT_ALLOWED');
+    }
+
+    const payload = ALLOWED_FIELDS.reduce((forwarded, field) => {
+        if (body[field] !== undefined) {
+            forwarded[field] = body[field];
+        }
+        return forwarded;
+    }, {});
+    return { model, payload };
+}
+
+async function handleGenerate(req, res, url) {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const ip = req.socket.remoteAddress;
+    if (isRateLimited(ip)) {
+        res.setHeader('Retry-After', Math.ceil(RATE_LIMIT_WINDOW_MS / 1000));
+        throw new HttpError(429, 'Too many requests, please wait a moment');
+    }
+
+    if (!GEMINI_API_KEY) {
+        throw new HttpError(500, 'GEMINI_API_KEY is not configured on the server', 'API_KEY_MISSING');
+    }
+
+    const { model, payload } = parseGenerateRequest(await readBody(req));
+    const stream = url.searchParams.get('stream') === 'true';
+    const modelUrl = (stream ? GEMINI_STREAM_URL : GEMINI_API_URL).replace('{model}', encodeURIComponent(model));
+    const upstreamUrl = stream
+        ? `${modelUrl}?alt=sse&key=${encodeURIComponent(GEMINI_API_KEY)}`
+        : `${modelUrl}?key=${encodeURIComponent(GEMINI_API_KEY)}`;
+
+    // Stop the upstream request if the browser goes away (e.g. the Stop button)
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const upstream = await fetch(upstreamUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+    });
+
+    res.writeHead(upstream.status, {
+        'Content-Type': upstream.headers.get('content-type') || 'application/json',
+        'Cache-Control': 'no-cache'
+    });
+
+    if (!upstream.body) {
+        res.end();
+        return;
+    }
+
+    for await (const chunk of upstream.body) {
+        res.write(chunk);
+    }
+    res.end();
+}
+
+// The page sends { backend, texts, target } with target already in the backend's own language code
+function parseTranslateRequest(rawBody) {
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON');
+    }
+
+    if (!body || !Array.isArray(body.texts) || body.texts.length === 0
+        || body.texts.length > MAX_TRANSLATE_TEXTS || !body.texts.every(text => typeof text === 'string')) {
+        throw new HttpError(400, `Request must include between 1 and ${MAX_TRANSLATE_TEXTS} texts`);
+    }
+    if (typeof body.target !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z]{2,4})?$/.test(body.target)) {
+        throw new HttpError(400, 'Request must include a target language code');
+    }
+    return body;
+}
+
+// Upstream requests for each translation backend; languages() lists the target languages
+const TRANSLATORS = {
+    google: {
+        key: () => GOOGLE_TRANSLATE_API_KEY,
+        keyName: 'GOOGLE_TRANSLATE_API_KEY',
+        async translate({ texts, target }) {
+            const data = await translatorRequest(`${GOOGLE_TRANSLATE_URL}?key=${encodeURIComponent(GOOGLE_TRANSLATE_API_KEY)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ q: texts, source: 'en', target, format: 'text' })
+            });
+            return data.data.translations.map(translation => translation.translatedText);
+        },
+        async languages() {
+            const data = await translatorRequest(`${GOOGLE_TRANSLATE_URL}/languages?key=${encodeURIComponent(GOOGLE_TRANSLATE_API_KEY)}`);
+            return data.data.languages.map(language => language.language);
+        }
+    },
+    deepl: {
+        key: () => DEEPL_API_KEY,
+        keyName: 'DEEPL_API_KEY',
+        async translate({ texts, target }) {
+            const data = await translatorRequest(`${DEEPL_API_URL}/translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `DeepL-Auth-Key ${DEEPL_API_KEY}` },
+                body: JSON.stringify({ text: texts, source_lang: 'EN', target_lang: target })
+            });
+            return data.translations.map(translation => translation.text);
+        },
+        async languages() {
+            const languages = await translatorRequest(`${DEEPL_API_URL}/languages?type=target`, {
+                headers: { 'Authorization': `DeepL-Auth-Key ${DEEPL_API_KEY}` }
+            });
+            return languages.map(language => language.language);
+        }
+    }
+};
+
+// Upstream errors keep their status so the page can tell a rate limit or a bad key from an outage
+async function translatorRequest(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        throw new HttpError(response.status, `Translation API error: ${response.status}`);
+    }
+    return response.json();
+}
+
+// POST /api/translate translates texts; GET /api/translate/languages?backend= lists target languages
+async function handleTranslate(req, res, url) {
+    const languages = url.pathname === '/api/translate/languages';
+    if (req.method !== (languages ? 'GET' : 'POST')) {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const ip = req.socket.remoteAddress;
+    if (isRateLimited(ip, 'translate', TRANSLATE_RATE_LIMIT_MAX)) {
+        res.setHeader('Retry-After', Math.ceil(RATE_LIMIT_WINDOW_MS / 1000));
+        throw new HttpError(429, 'Too many requests, please wait a moment');
+    }
+
+    const request = languages ? { backend: url.searchParams.get('backend') } : parseTranslateRequest(await readBody(req));
+    const translator = Object.hasOwn(TRANSLATORS, request.backend) ? TRANSLATORS[request.backend] : null;
+    if (!translator) {
+        throw new HttpError(400, `Unknown translation backend: ${String(request.backend).slice(0, 100)}`);
+    }
+    if (!translator.key()) {
+        throw new HttpError(500, `${translator.keyName} is not configured on the server`, 'API_KEY_MISSING');
+    }
+
+    if (languages) {
+        sendJson(res, 200, { languages: await translator.languages() });
+    } else {
+        sendJson(res, 200, { translations: await translator.translate(request) });
+    }
+}
+
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+    const relativePath = pathname === '/' ? 'index.html' : path.normalize(pathname).replace(/^[/\\]+/, '');
+    const topLevel = relativePath.split(/[/\\]/)[0];
+
+    if (!PUBLIC_FILES.includes(relativePath) && !PUBLIC_DIRS.includes(topLevel)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const filePath = path.join(ROOT, relativePath);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.stat(filePath, (statError, stats) => {
+        if (statError || !stats.isFile()) {
+            sendJson(res, 404, { error: { message: 'Not found' } });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            // Browsers check for service worker updates on every load; never serve it from the HTTP cache
+            ...(relativePath === 'sw.js' && { 'Cache-Control': 'no-cache' })
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (url.pathname === '/api/generate') {
+            await handleGenerate(req, res, url);
+        } else if (url.pathname === '/api/translate' || url.pathname === '/api/translate/languages') {
+            await handleTranslate(req, res, url);
+        } else {
+            serveStatic(req, res, url);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        const status = error.status || 502;
+        if (!error.status) {
+            console.error('Server error:', error);
+        }
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        sendJson(res, status, {
+            error: {
+                message: error.status ? error.message : 'Upstream request failed',
+                ...(error.code && { status: error.code })
+            }
+        });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Agenda 2030 AI Explorer running on http://localhost:${PORT}`);
+    // Without the placeholder every request goes to the one model in the URL, whatever the page chose
+    Object.entries({ GEMINI_API_URL, GEMINI_STREAM_URL }).forEach(([name, url]) => {
+        if (!url.includes('{model}')) {
+            console.warn(`Warning: ${name} has no {model} placeholder, so the model chosen in the page is ignored`);
+        }
+    });
+});
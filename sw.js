@@ -0,0 +1,115 @@
+// Service worker: precaches the app shell and Bootstrap so the app opens without a network.
+// Bump CACHE_VERSION when files are added, removed or changed to replace the old caches.
+const CACHE_VERSION = 'v8';
+const PRECACHE = `agenda2030ai-precache-${CACHE_VERSION}`;
+const RUNTIME = `agenda2030ai-runtime-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'files/style.css',
+    'files/config.js',
+    'files/providers.js',
+    'files/locale.js',
+    'files/router.js',
+    'files/markdown.js',
+    'files/translation-backends.js',
+    'files/translation-cache.js',
+    'files/translations.js',
+    'files/goals.js',
+    'files/goal-search.js',
+    'files/answer-store.js',
+    'files/library.js',
+    'files/docx.js',
+    'files/report.js',
+    'files/offline.js',
+    'files/settings.js',
+    'files/grounding.js',
+    'files/usage-meter.js',
+    'files/usage-dashboard.js',
+    'files/app.js',
+    'files/main.js',
+    'files/data/sdg-targets.json',
+    'files/data/sdg-corpus.json',
+    'files/icons/icon-192.png',
+    'files/icons/icon-512.png',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.rtl.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js'
+];
+
+// GET requests to these hosts are translations; the last response is kept for offline use
+const TRANSLATION_HOSTS = ['api.mymemory.translated.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('agenda2030ai-') && key !== PRECACHE && key !== RUNTIME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request, fallbackUrl = null) {
+    const cache = await caches.open(RUNTIME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: Boolean(fallbackUrl) })
+            || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Serve from the cache straight away and refresh the cached copy in the background
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await caches.match(event.request);
+    const network = fetch(event.request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(event.request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // AI requests are POSTs and are never cached; queued prompts are handled by the page
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+    } else if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (TRANSLATION_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,151 @@
+// Accessibility checks against the rendered page in headless Chrome: axe-core finds no WCAG 2.1 A/AA
+// violations, the goal tabs follow the WAI-ARIA keyboard pattern and answers are announced.
+// Bootstrap is served from node_modules and the AI proxy is mocked, so no network is needed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.A11Y_TEST_PORT) || 3199;
+const BASE_URL = `http://localhost:${PORT}/`;
+const BOOTSTRAP_CDN = 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/';
+const AXE_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+// Without Chrome, e.g. when it was not downloaded on install, the checks are skipped rather than failed
+const SKIP = fs.existsSync(puppeteer.executablePath()) ? false : 'Chrome is not installed (npx puppeteer browsers install chrome)';
+
+let server;
+let browser;
+let page;
+
+function startServer() {
+    return new Promise((resolve, reject) => {
+        server = spawn(process.execPath, ['server.js'], {
+            cwd: ROOT,
+            env: { ...process.env, PORT: String(PORT), GEMINI_API_KEY: 'test-key' }
+        });
+        server.stdout.on('data', data => {
+            if (data.toString().includes('running on')) resolve();
+        });
+        server.on('error', reject);
+        server.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+}
+
+async function handleRequest(request) {
+    const url = request.url();
+
+    if (url.startsWith(BOOTSTRAP_CDN)) {
+        const file = path.join(ROOT, 'node_modules', 'bootstrap', 'dist', url.slice(BOOTSTRAP_CDN.length));
+        await request.respond({
+            contentType: file.endsWith('.css') ? 'text/css' : 'text/javascript',
+            body: fs.readFileSync(file)
+        });
+    } else if (url.startsWith(`${BASE_URL}api/generate`)) {
+        const chunk = { candidates: [{ content: { parts: [{ text: '## Summary\n\nA **mocked** answer.' }] } }] };
+        await request.respond({
+            contentType: 'text/event-stream',
+            body: `data: ${JSON.stringify(chunk)}\n\n`
+        });
+    } else if (url.startsWith(BASE_URL)) {
+        await request.continue();
+    } else {
+        await request.abort();
+    }
+}
+
+async function runAxe() {
+    await page.addScriptTag({ path: require.resolve('axe-core/axe.min.js') });
+    const results = await page.evaluate(tags => window.axe.run(document, { runOnly: { type: 'tag', values: tags } }), AXE_TAGS);
+    return results.violations.map(violation =>
+        `${violation.id}: ${violation.help}\n  ${violation.nodes.map(node => node.target.join(' ')).join('\n  ')}`);
+}
+
+function getSelectedTab() {
+    return page.evaluate(() => {
+        const selected = document.querySelectorAll('#goals-nav [aria-selected="true"]');
+        return {
+            count: selected.length,
+            id: selected[0] && selected[0].id,
+            focused: document.activeElement.id,
+            panelShown: selected[0] && document.getElementById(selected[0].getAttribute('aria-controls')).classList.contains('active')
+        };
+    });
+}
+
+before(async () => {
+    if (SKIP) return;
+    await startServer();
+    browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+    page = await browser.newPage();
+    await page.setBypassServiceWorker(true);
+    await page.setRequestInterception(true);
+    page.on('request', handleRequest);
+    await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
+    await page.waitForSelector('#goal-tab-17');
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    if (server) {
+        server.removeAllListeners('exit');
+        server.kill();
+    }
+});
+
+test('the start page has no axe violations', { skip: SKIP }, async () => {
+    assert.deepStrictEqual(await runAxe(), []);
+});
+
+test('goal tabs expose their state and panels', { skip: SKIP }, async () => {
+    const tabs = await page.$$eval('#goals-nav [role="tab"]', elements => elements.map(element => ({
+        selected: element.getAttribute('aria-selected'),
+        tabindex: element.getAttribute('tabindex'),
+        controls: element.getAttribute('aria-controls'),
+        panelLabel: document.getElementById(element.getAttribute('aria-controls')).getAttribute('aria-labelledby'),
+        id: element.id
+    })));
+
+    assert.strictEqual(tabs.length, 17);
+    assert.strictEqual(tabs.filter(tab => tab.selected === 'true').length, 1);
+    tabs.forEach(tab => assert.strictEqual(tab.panelLabel, tab.id));
+    assert.strictEqual(tabs.filter(tab => tab.tabindex !== '-1').length, 1);
+});
+
+test('arrow keys, Home and End move between goals', { skip: SKIP }, async () => {
+    await page.focus('#goal-tab-1');
+
+    await page.keyboard.press('ArrowDown');
+    assert.deepStrictEqual(await getSelectedTab(), { count: 1, id: 'goal-tab-2', focused: 'goal-tab-2', panelShown: true });
+
+    await page.keyboard.press('End');
+    assert.deepStrictEqual(await getSelectedTab(), { count: 1, id: 'goal-tab-17', focused: 'goal-tab-17', panelShown: true });
+
+    await page.keyboard.press('ArrowDown');
+    assert.strictEqual((await getSelectedTab()).id, 'goal-tab-1', 'ArrowDown wraps around to the first goal');
+
+    await page.keyboard.press('ArrowUp');
+    assert.strictEqual((await getSelectedTab()).id, 'goal-tab-17', 'ArrowUp wraps around to the last goal');
+
+    await page.keyboard.press('Home');
+    assert.strictEqual((await getSelectedTab()).id, 'goal-tab-1');
+});
+
+test('choosing a prompt moves focus to the answer and announces it', { skip: SKIP }, async () => {
+    await page.click('#goal-1 .prompt-button');
+
+    assert.strictEqual(await page.evaluate(() => document.activeElement.id), 'aiResponse');
+    await page.waitForFunction(() => document.getElementById('liveStatus').textContent === 'Answer ready.');
+
+    const response = await page.$eval('#aiResponse', element => ({
+        busy: element.getAttribute('aria-busy'),
+        heading: element.querySelector('h2') && element.querySelector('h2').textContent
+    }));
+    assert.deepStrictEqual(response, { busy: 'false', heading: 'Summary' });
+});
+
+test('the page with an answer has no axe violations', { skip: SKIP }, async () => {
+    assert.deepStrictEqual(await runAxe(), []);
+});
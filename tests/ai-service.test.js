@@ -0,0 +1,214 @@
+// AIService with the Gemini provider against a mocked /api/generate proxy: what is sent, how
+// streamed chunks arrive and which errors are retried.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBrowser, importApp, jsonResponse, geminiResponse, geminiStreamResponse, mockFetch } = require('./helpers/browser');
+
+let AIService;
+let SettingsManager;
+let errors;
+
+// Records the backoff waits instead of sleeping
+function createService() {
+    const settings = new SettingsManager({
+        getProvider: () => service.provider,
+        getGoal: () => ({ id: 1, title: 'No Poverty' })
+    });
+    const service = new AIService('gemini', settings);
+    service.delays = [];
+    service.wait = async (ms) => {
+        service.delays.push(ms);
+    };
+    return service;
+}
+
+function generateRequests(requests) {
+    return requests.filter(request => request.url.pathname === '/api/generate');
+}
+
+beforeEach(async (t) => {
+    setupBrowser();
+    t.mock.method(console, 'error', () => {});
+    ({ AIService } = await importApp('app.js'));
+    ({ SettingsManager } = await importApp('settings.js'));
+    errors = await importApp('providers.js');
+});
+
+test('the question, earlier turns and settings are sent to the proxy', async () => {
+    const requests = mockFetch(url => (url.pathname === '/api/generate' ? geminiResponse('An answer.') : undefined));
+    const service = createService();
+    service.settings.set('temperature', 0.2);
+    service.settings.set('style', 'brief');
+
+    const history = [{ role: 'user', text: 'What is SDG 1?' }, { role: 'model', text: 'Ending poverty.' }];
+    const text = await service.generateResponse('And how is it measured?', 'sv', history);
+
+    assert.strictEqual(text, 'An answer.');
+    const [request] = generateRequests(requests);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url.search, '');
+    assert.strictEqual(request.body.model, 'gemini-2.0-flash');
+    assert.deepStrictEqual(request.body.contents.map(turn => [turn.role, turn.parts[0].text]), [
+        ['user', 'What is SDG 1?'],
+        ['model', 'Ending poverty.'],
+        ['user', 'And how is it measured?']
+    ]);
+    assert.deepStrictEqual(request.body.generationConfig, { temperature: 0.2, maxOutputTokens: 2048 });
+    const instruction = request.body.systemInstruction.parts[0].text;
+    assert.match(instruction, /Always respond in Swedish \(language code "sv"\)/);
+    assert.match(instruction, /Answer briefly/);
+    assert.strictEqual(request.body.tools, undefined);
+});
+
+test('translations are sent without the answer length limit', async () => {
+    const requests = mockFetch(url => (url.pathname === '/api/generate' ? geminiResponse('Rent vatten.') : undefined));
+    const service = createService();
+
+    assert.strictEqual(await service.translateText('Clean water.', 'sv'), 'Rent vatten.');
+    assert.deepStrictEqual(generateRequests(requests)[0].body.generationConfig, { temperature: 0.7 });
+});
+
+test('streamed chunks are passed on as they arrive', async () => {
+    const requests = mockFetch(url => (url.pathname === '/api/generate'
+        ? geminiStreamResponse(['## Summary', '\n\nClean ', 'water.'])
+        : undefined));
+    const service = createService();
+    const chunks = [];
+
+    const text = await service.streamResponse('Tell me about SDG 6', 'en', [], chunk => chunks.push(chunk));
+
+    assert.strictEqual(text, '## Summary\n\nClean water.');
+    assert.deepStrictEqual(chunks, ['## Summary', '\n\nClean ', 'water.']);
+    assert.strictEqual(generateRequests(requests)[0].url.searchParams.get('stream'), 'true');
+});
+
+test('a record split across network chunks is joined before it is parsed', async () => {
+    const event = JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Clean water.' }] }, finishReason: 'STOP' }] });
+    const parts = [`data: ${event.slice(0, 20)}`, `${event.slice(20)}\n`, '\n'];
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? new Response(new ReadableStream({
+            start(controller) {
+                parts.forEach(part => controller.enqueue(new TextEncoder().encode(part)));
+                controller.close();
+            }
+        }), { headers: { 'Content-Type': 'text/event-stream' } })
+        : undefined));
+    const service = createService();
+    const chunks = [];
+
+    const text = await service.streamResponse('Tell me about SDG 6', 'en', [], chunk => chunks.push(chunk));
+
+    assert.strictEqual(text, 'Clean water.');
+    assert.deepStrictEqual(chunks, ['Clean water.']);
+});
+
+test('an empty streamed answer is reported as a provider error', async () => {
+    mockFetch(url => (url.pathname === '/api/generate' ? geminiStreamResponse(['']) : undefined));
+    const service = createService();
+
+    await assert.rejects(service.streamResponse('Question', 'en', []), error => {
+        assert.ok(error instanceof errors.AIProviderError);
+        assert.strictEqual(error.message, 'gemini returned an empty response');
+        return true;
+    });
+});
+
+test('a malformed stream record is reported as a provider error', async () => {
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? new Response('data: {"candidates": [\n\n', { headers: { 'Content-Type': 'text/event-stream' } })
+        : undefined));
+    const service = createService();
+
+    await assert.rejects(service.streamResponse('Question', 'en', []), error => {
+        assert.ok(error instanceof errors.AIProviderError);
+        assert.strictEqual(error.message, 'gemini sent an invalid stream chunk');
+        assert.ok(error.cause instanceof SyntaxError);
+        return true;
+    });
+});
+
+test('server errors are retried with a growing delay', async () => {
+    let attempts = 0;
+    const requests = mockFetch(url => {
+        if (url.pathname !== '/api/generate') return undefined;
+        attempts++;
+        return attempts < 3
+            ? jsonResponse({ error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } }, { status: 503 })
+            : geminiResponse('Third time lucky.');
+    });
+    const service = createService();
+    const retries = [];
+
+    const text = await service.generateResponse('Question', 'en', [], {
+        onRetry: ({ attempt, retries: total, error }) => retries.push([attempt, total, error.type])
+    });
+
+    assert.strictEqual(text, 'Third time lucky.');
+    assert.strictEqual(generateRequests(requests).length, 3);
+    assert.deepStrictEqual(retries, [[1, 2, 'server'], [2, 2, 'server']]);
+    // 1 s and 2 s, each with up to 20 % jitter
+    assert.ok(service.delays[0] >= 1000 && service.delays[0] <= 1200, `first delay was ${service.delays[0]}`);
+    assert.ok(service.delays[1] >= 2000 && service.delays[1] <= 2400, `second delay was ${service.delays[1]}`);
+});
+
+test('a rate limit waits as long as the Retry-After header says', async () => {
+    let attempts = 0;
+    mockFetch(url => {
+        if (url.pathname !== '/api/generate') return undefined;
+        attempts++;
+        return attempts === 1
+            ? jsonResponse({ error: { code: 429, message: 'Quota exceeded.', status: 'RESOURCE_EXHAUSTED' } },
+                { status: 429, headers: { 'Retry-After': '3' } })
+            : geminiResponse('Done.');
+    });
+    const service = createService();
+
+    assert.strictEqual(await service.generateResponse('Question', 'en'), 'Done.');
+    assert.deepStrictEqual(service.delays, [3000]);
+});
+
+test('an invalid API key fails at once with an auth error', async () => {
+    const requests = mockFetch(url => (url.pathname === '/api/generate'
+        ? jsonResponse({
+            error: {
+                code: 400,
+                message: 'API key not valid.',
+                status: 'INVALID_ARGUMENT',
+                details: [{ reason: 'API_KEY_INVALID' }]
+            }
+        }, { status: 400 })
+        : undefined));
+    const service = createService();
+
+    await assert.rejects(service.generateResponse('Question', 'en'), error => {
+        assert.ok(error instanceof errors.AIAuthError);
+        assert.strictEqual(error.code, 'API_KEY_INVALID');
+        return true;
+    });
+    assert.strictEqual(generateRequests(requests).length, 1);
+    assert.deepStrictEqual(service.delays, []);
+});
+
+test('a blocked prompt is reported as a safety error', async () => {
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? jsonResponse({ promptFeedback: { blockReason: 'SAFETY' } })
+        : undefined));
+    const service = createService();
+
+    await assert.rejects(service.generateResponse('Question', 'en'), error => {
+        assert.ok(error instanceof errors.AISafetyError);
+        assert.strictEqual(error.reason, 'SAFETY');
+        return true;
+    });
+});
+
+test('an unreachable proxy is retried and then reported as a network error', async () => {
+    const requests = mockFetch(url => {
+        if (url.pathname === '/api/generate') throw new TypeError('Failed to fetch');
+        return undefined;
+    });
+    const service = createService();
+
+    await assert.rejects(service.generateResponse('Question', 'en'), errors.AINetworkError);
+    assert.strictEqual(generateRequests(requests).length, 3);
+});
@@ -0,0 +1,80 @@
+// GoalsManager: the goals list and panels, the SDG targets loaded from files/data/sdg-targets.json
+// and the prompts built from them.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBrowser, importApp, mockFetch } = require('./helpers/browser');
+
+let GoalsManager;
+let CONFIG;
+let goalsManager;
+
+beforeEach(async () => {
+    setupBrowser();
+    mockFetch();
+    ({ GoalsManager } = await importApp('goals.js'));
+    ({ CONFIG } = await importApp('config.js'));
+    goalsManager = new GoalsManager();
+});
+
+test('every goal gets a tab and a panel with its prompts', () => {
+    goalsManager.renderGoals();
+
+    const tabs = document.querySelectorAll('#goals-nav [role="tab"]');
+    assert.strictEqual(tabs.length, 17);
+    assert.deepStrictEqual(Array.from(tabs).filter(tab => tab.getAttribute('aria-selected') === 'true').map(tab => tab.id),
+        ['goal-tab-1']);
+
+    const panel = document.getElementById('goal-6');
+    assert.strictEqual(panel.getAttribute('aria-labelledby'), 'goal-tab-6');
+    assert.strictEqual(panel.querySelector('.card-title').textContent, 'Clean Water and Sanitation');
+    const prompts = panel.querySelectorAll('.prompt-button');
+    assert.strictEqual(prompts.length, goalsManager.getGoal(6).prompts.length);
+    assert.strictEqual(prompts[1].getAttribute('data-prompt-index'), '1');
+    assert.strictEqual(prompts[1].getAttribute('data-original-text'), goalsManager.getGoal(6).prompts[1]);
+});
+
+test('the selected goal follows the selected tab', () => {
+    goalsManager.renderGoals();
+    assert.strictEqual(goalsManager.getSelectedGoal().id, 1);
+
+    document.getElementById('goal-tab-1').setAttribute('aria-selected', 'false');
+    document.getElementById('goal-tab-13').setAttribute('aria-selected', 'true');
+    assert.strictEqual(goalsManager.getSelectedGoal().id, 13);
+});
+
+test('targets and indicators are loaded into the goal panels', async () => {
+    goalsManager.renderGoals();
+    await goalsManager.loadTargets();
+
+    const targets = document.querySelectorAll('#targets-6 .target-item');
+    assert.strictEqual(targets.length, goalsManager.getGoal(6).targets.length);
+    assert.strictEqual(targets[0].querySelector('.target-code').textContent, '6.1');
+    assert.ok(targets[0].querySelector('.indicator-code'));
+    assert.strictEqual(targets[0].querySelector('.target-prompt-button').getAttribute('data-target-code'), '6.1');
+    // Lazily translated, and only the titles
+    assert.ok(targets[0].querySelector('.target-title').hasAttribute('data-translate-lazy'));
+    assert.ok(!targets[0].querySelector('.target-code').hasAttribute('data-translate-lazy'));
+});
+
+test('the prompt template is filled with the goal and its targets', async () => {
+    await goalsManager.loadTargets();
+
+    const prompt = goalsManager.buildContextPrompt(6, 'How is water scarcity measured?', CONFIG.PROMPT_TEMPLATE);
+
+    assert.match(prompt, /^Context: UN Sustainable Development Goal 6, "Clean Water and Sanitation": /);
+    assert.match(prompt, /^- 6\.1: /m);
+    assert.match(prompt, /Question: How is water scarcity measured\?$/);
+    assert.strictEqual(goalsManager.buildContextPrompt(6, 'Q', 'Goal {goalNumber}: {question} {unknown}'), 'Goal 6: Q {unknown}');
+    assert.strictEqual(goalsManager.buildContextPrompt(99, 'Q', CONFIG.PROMPT_TEMPLATE), 'Q');
+});
+
+test('target prompts quote the target and its indicators', async () => {
+    await goalsManager.loadTargets();
+    const target = goalsManager.getTarget(13, '13.2');
+
+    const prompt = goalsManager.buildTargetPrompt(13, '13.2');
+
+    assert.ok(prompt.startsWith(`Analyse SDG target 13.2 of Goal 13 (Climate Action): "${target.title}"`));
+    target.indicators.forEach(indicator => assert.ok(prompt.includes(`- ${indicator.code}: ${indicator.title}`)));
+    assert.strictEqual(goalsManager.buildTargetPrompt(13, '13.99'), null);
+});
@@ -0,0 +1,38 @@
+// GroundingService with the corpus in files/data/sdg-corpus.json: passages are ranked by the words
+// they share with the question and cited with a link to their goal's chapter of the report.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBrowser, importApp, mockFetch } = require('./helpers/browser');
+
+let grounding;
+
+beforeEach(async () => {
+    setupBrowser();
+    mockFetch();
+    const { GroundingService } = await importApp('grounding.js');
+    grounding = new GroundingService({
+        settings: { get: () => 'corpus' },
+        getProvider: () => ({ name: 'gemini' })
+    });
+});
+
+test('the passages that share the most words with the question come first', async () => {
+    const passages = await grounding.retrieve(6, 'How much of their transboundary waters do countries cooperate on?');
+
+    assert.strictEqual(passages.length, 4);
+    assert.match(passages[0].text, /transboundary waters/);
+    assert.ok(passages.every(passage => passage.goal === 6 || passage.goal === 0));
+    assert.strictEqual(passages[0].source.id, 'sdg-report-2023');
+});
+
+test('passages are cited with their goal page, passages about all goals with the report', async () => {
+    const { prompt, citations } = await grounding.prepare(6, 'Which targets are on track?');
+
+    assert.match(prompt, /^Use these excerpts from UN reports/);
+    assert.ok(prompt.endsWith('\n\nWhich targets are on track?'));
+    const urls = citations.sources.map(source => source.url);
+    assert.ok(urls.includes('https://unstats.un.org/sdgs/report/2024/'), 'the goal 0 passage about targets on track');
+    assert.ok(urls.some(url => /\/sdgs\/report\/202[34]\/Goal-06\/$/.test(url)));
+    assert.ok(citations.sources.filter(source => source.url.includes('Goal-06'))
+        .every(source => source.details.endsWith('Goal 6')));
+});
@@ -0,0 +1,124 @@
+// A browser-like environment for the app's ES modules in Node: a jsdom window built from index.html,
+// IndexedDB from fake-indexeddb, Bootstrap from node_modules and a fetch mock that serves the app's
+// own files and hands every other request to the test.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+const BASE_URL = 'http://localhost/';
+
+// Node has its own versions of some of these; the app has to get jsdom's
+const WINDOW_GLOBALS = ['window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'Node', 'HTMLElement'];
+
+let dom = null;
+
+// A fresh page, storage and database for every test
+function setupBrowser({ html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8') } = {}) {
+    if (dom) dom.window.close();
+    dom = new JSDOM(html, { url: BASE_URL, pretendToBeVisual: true });
+    const { window } = dom;
+
+    Object.getOwnPropertyNames(window).forEach(name => {
+        if (WINDOW_GLOBALS.includes(name) || !(name in globalThis)) {
+            Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+        }
+    });
+    globalThis.window = window;
+    globalThis.indexedDB = new IDBFactory();
+    globalThis.IDBKeyRange = IDBKeyRange;
+    // Not implemented by jsdom
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    delete require.cache[require.resolve('bootstrap/dist/js/bootstrap.bundle.js')];
+    globalThis.bootstrap = require('bootstrap/dist/js/bootstrap.bundle.js');
+    window.bootstrap = globalThis.bootstrap;
+
+    return window;
+}
+
+function importApp(file) {
+    return import(pathToFileURL(path.join(ROOT, 'files', file)).href);
+}
+
+function jsonResponse(data, { status = 200, headers = {} } = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+// A Gemini stream (alt=sse) sending each text as its own chunk; usageMetadata comes with the last one
+function geminiStreamResponse(texts, { finishReason = 'STOP', usageMetadata } = {}) {
+    const events = texts.map((text, index) => ({
+        candidates: [{
+            content: { parts: [{ text }] },
+            ...(index === texts.length - 1 && { finishReason })
+        }],
+        ...(index === texts.length - 1 && usageMetadata && { usageMetadata })
+    }));
+    return new Response(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join(''), {
+        headers: { 'Content-Type': 'text/event-stream' }
+    });
+}
+
+function geminiResponse(text, { usageMetadata } = {}) {
+    return jsonResponse({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }], ...(usageMetadata && { usageMetadata }) });
+}
+
+// Replaces fetch. handler(url, request) answers a request with a Response, or returns nothing to
+// get the app's file from disk (same origin) or a network error. Returns the list of requests made.
+function mockFetch(handler = () => {}) {
+    const requests = [];
+
+    globalThis.fetch = async (input, options = {}) => {
+        const url = new URL(String(input), window.location.href);
+        const request = {
+            url,
+            method: options.method || 'GET',
+            body: typeof options.body === 'string' && options.body.startsWith('{') ? JSON.parse(options.body) : options.body,
+            signal: options.signal
+        };
+        requests.push(request);
+
+        const response = await handler(url, request);
+        if (response) return response;
+
+        if (url.origin === window.location.origin) {
+            const file = path.join(ROOT, decodeURIComponent(url.pathname));
+            return fs.existsSync(file) && fs.statSync(file).isFile()
+                ? new Response(fs.readFileSync(file), { status: 200 })
+                : new Response('Not found', { status: 404 });
+        }
+        throw new TypeError('Failed to fetch');
+    };
+    window.fetch = globalThis.fetch;
+
+    return requests;
+}
+
+// Polls until check() returns something truthy
+async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+    const start = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() - start > timeout) {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = {
+    setupBrowser,
+    importApp,
+    jsonResponse,
+    geminiStreamResponse,
+    geminiResponse,
+    mockFetch,
+    waitFor
+};
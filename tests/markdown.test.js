@@ -0,0 +1,105 @@
+// MarkdownRenderer as a sanitiser: model output is parsed into the page, so whatever the Markdown
+// holds, only escaped text and http(s), mailto and # links may come out of it.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { setupBrowser, importApp } = require('./helpers/browser');
+
+let renderer;
+
+before(async () => {
+    setupBrowser();
+    const { MarkdownRenderer } = await importApp('markdown.js');
+    renderer = new MarkdownRenderer();
+});
+
+function render(markdown) {
+    const container = document.createElement('div');
+    container.innerHTML = renderer.render(markdown);
+    return container;
+}
+
+// Every element and attribute the sanitiser let through, to check nothing can run script
+function assertInert(container) {
+    for (const element of container.querySelectorAll('*')) {
+        assert.ok(!['SCRIPT', 'IMG', 'IFRAME', 'SVG', 'STYLE'].includes(element.tagName), `unexpected <${element.tagName}>`);
+        for (const attribute of element.attributes) {
+            assert.ok(!attribute.name.startsWith('on'), `unexpected ${attribute.name} on <${element.tagName}>`);
+        }
+    }
+    for (const link of container.querySelectorAll('a')) {
+        assert.match(link.getAttribute('href'), /^(https?:\/\/|mailto:|#)/);
+    }
+}
+
+test('raw HTML is shown as text', () => {
+    const container = render('Hello <script>alert(1)</script> and <img src=x onerror="alert(1)">\n\n<b>bold</b>');
+
+    assertInert(container);
+    assert.strictEqual(container.querySelector('p').textContent, 'Hello <script>alert(1)</script> and <img src=x onerror="alert(1)">');
+    assert.strictEqual(container.querySelectorAll('p')[1].textContent, '<b>bold</b>');
+});
+
+test('links other than web, mail and in-page ones keep only their text', () => {
+    const container = render('[a](javascript:alert(1)) [b](data:text/html,x) [c](JavaScript:void(0)) [d](mailto:x@example.org)');
+
+    assertInert(container);
+    assert.strictEqual(container.textContent, 'a b c d');
+    assert.deepStrictEqual(Array.from(container.querySelectorAll('a'), link => link.getAttribute('href')), ['mailto:x@example.org']);
+});
+
+test('parentheses in a URL stay part of the link', () => {
+    const container = render('See [Goal 6](https://en.wikipedia.org/wiki/Water_(disambiguation)) (water).');
+    const link = container.querySelector('a');
+
+    assert.strictEqual(link.getAttribute('href'), 'https://en.wikipedia.org/wiki/Water_(disambiguation)');
+    assert.strictEqual(link.textContent, 'Goal 6');
+    assert.strictEqual(container.textContent, 'See Goal 6 (water).');
+});
+
+test('quotes in a link or its title cannot leave the attribute', () => {
+    const container = render('[a](https://example.org/"onmouseover="alert(1)) [b](https://example.org "x" onclick="alert(1)")\n\n[^1] cited\n\n[^1]: [T"itle" onclick="x](https://example.org/"a)');
+
+    assertInert(container);
+    const links = container.querySelectorAll('a');
+    assert.strictEqual(links[0].getAttribute('href'), 'https://example.org/"onmouseover="alert(1)');
+    assert.strictEqual(links[1].getAttribute('title'), 'T"itle" onclick="x');
+    assert.strictEqual(links[1].getAttribute('href'), 'https://example.org/"a');
+});
+
+test('a footnote pointing at a script link is not linked', () => {
+    const container = render('Water is scarce [^1].\n\n[^1]: [x](javascript:alert(1))');
+
+    assertInert(container);
+    assert.strictEqual(container.querySelector('sup').textContent, '[1]');
+    assert.strictEqual(container.querySelector('.citations li').textContent, 'x');
+});
+
+test('a link inside link text is linked on its own', () => {
+    const container = render('[**x** [y](http://b)](http://a) and [see [1]](http://c)');
+    const links = container.querySelectorAll('a');
+
+    assert.strictEqual(links.length, 2);
+    assert.strictEqual(links[0].getAttribute('href'), 'http://b');
+    assert.strictEqual(links[0].textContent, 'y');
+    assert.strictEqual(links[1].getAttribute('href'), 'http://c');
+    assert.strictEqual(links[1].textContent, 'see [1]');
+    assert.strictEqual(container.querySelector('strong').textContent, 'x');
+});
+
+test('a code fence with quotes after it is still code', () => {
+    const container = render('```js" onload="alert(1)\n<script>alert(1)</script>\n**not bold**\n```\n\n```python\nprint(1)\n```');
+    const blocks = container.querySelectorAll('pre code');
+
+    assertInert(container);
+    assert.strictEqual(blocks.length, 2);
+    assert.strictEqual(blocks[0].getAttribute('class'), null);
+    assert.strictEqual(blocks[0].textContent, '<script>alert(1)</script>\n**not bold**');
+    assert.strictEqual(blocks[1].className, 'language-python');
+});
+
+test('only prose is sent for translation when URLs hold parentheses', () => {
+    const parts = renderer.splitForTranslation('Read [the page](https://example.org/a_(b)) now')[0];
+
+    assert.deepStrictEqual(parts.filter(part => part.translate).map(part => part.text), ['Read ', 'the page', ' now']);
+    assert.ok(parts.some(part => !part.translate && part.text === '](https://example.org/a_(b))'));
+});
@@ -0,0 +1,196 @@
+// TranslationService against a mocked MyMemory API: requests go out one at a time in the order they
+// were queued, rate limits are retried with a doubling delay and translations are served from the
+// in-memory cache, the IndexedDB cache and language packs.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBrowser, importApp, jsonResponse, mockFetch } = require('./helpers/browser');
+
+const MYMEMORY_URL = 'https://api.mymemory.translated.net/get';
+
+let TranslationService;
+let TranslationCache;
+
+function myMemoryResponse(url) {
+    const [, language] = url.searchParams.get('langpair').split('|');
+    return jsonResponse({ responseData: { translatedText: `[${language}] ${url.searchParams.get('q')}` } });
+}
+
+// Records the waits instead of sleeping, so the tests run without delays
+function createService() {
+    const service = new TranslationService('mymemory');
+    service.delays = [];
+    service.sleep = async (ms) => {
+        service.delays.push(ms);
+    };
+    return service;
+}
+
+function apiRequests(requests) {
+    return requests.filter(request => request.url.href.startsWith(MYMEMORY_URL));
+}
+
+beforeEach(async (t) => {
+    setupBrowser();
+    t.mock.method(console, 'log', () => {});
+    ({ TranslationService } = await importApp('translations.js'));
+    ({ TranslationCache } = await importApp('translation-cache.js'));
+});
+
+test('queued translations are sent one at a time in the order they were asked for', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const requests = mockFetch(async (url) => {
+        if (!url.href.startsWith(MYMEMORY_URL)) return undefined;
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return myMemoryResponse(url);
+    });
+    const service = createService();
+
+    const results = await Promise.all(['Clean water', 'Zero hunger', 'Quality education']
+        .map(text => service.translate(text, 'sv')));
+
+    assert.deepStrictEqual(results, ['[sv] Clean water', '[sv] Zero hunger', '[sv] Quality education']);
+    assert.deepStrictEqual(apiRequests(requests).map(request => request.url.searchParams.get('q')),
+        ['Clean water', 'Zero hunger', 'Quality education']);
+    assert.strictEqual(maxInFlight, 1);
+    // The backend's request delay follows every request
+    assert.deepStrictEqual(service.delays, [1000, 1000, 1000]);
+    assert.strictEqual(service.isProcessingQueue, false);
+});
+
+test('a failed request does not hold up the rest of the queue', async () => {
+    mockFetch(url => {
+        if (!url.href.startsWith(MYMEMORY_URL)) return undefined;
+        return url.searchParams.get('q') === 'Broken'
+            ? jsonResponse({ responseData: { translatedText: '' } })
+            : myMemoryResponse(url);
+    });
+    const service = createService();
+
+    const results = await Promise.all(['Broken', 'Life on land'].map(text => service.translate(text, 'fr')));
+
+    // The untranslatable text is shown in English
+    assert.deepStrictEqual(results, ['Broken', '[fr] Life on land']);
+});
+
+test('rate limited requests are retried with a doubling delay', async () => {
+    let attempts = 0;
+    const requests = mockFetch(url => {
+        if (!url.href.startsWith(MYMEMORY_URL)) return undefined;
+        attempts++;
+        return attempts <= 2 ? jsonResponse({ responseDetails: 'Too many requests' }, { status: 429 }) : myMemoryResponse(url);
+    });
+    const service = createService();
+
+    assert.strictEqual(await service.translate('Climate action', 'de'), '[de] Climate action');
+    assert.strictEqual(apiRequests(requests).length, 3);
+    // 1 s and 2 s before the retries, then the request delay
+    assert.deepStrictEqual(service.delays, [1000, 2000, 1000]);
+    assert.strictEqual(service.retryDelay, 1000, 'the delay starts over after a success');
+});
+
+test('after the last retry the English text is kept and nothing is cached', async () => {
+    const requests = mockFetch(url => (url.href.startsWith(MYMEMORY_URL)
+        ? jsonResponse({}, { status: 429 })
+        : undefined));
+    const service = createService();
+
+    assert.strictEqual(await service.translate('Reduced inequalities', 'es'), 'Reduced inequalities');
+    assert.strictEqual(apiRequests(requests).length, service.maxRetries + 1);
+    assert.deepStrictEqual(service.delays, [1000, 2000, 4000, 1000]);
+    assert.strictEqual(service.getCachedTranslation('Reduced inequalities', 'es'), null);
+    assert.strictEqual(await service.persistentCache.get('Reduced inequalities', 'es'), null);
+});
+
+test('repeated translations are served from the in-memory cache', async () => {
+    const requests = mockFetch(url => (url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined));
+    const service = createService();
+
+    assert.strictEqual(await service.translate('Gender equality', 'it'), '[it] Gender equality');
+    assert.strictEqual(await service.translate('Gender equality', 'it'), '[it] Gender equality');
+
+    assert.strictEqual(apiRequests(requests).length, 1);
+    assert.strictEqual(service.getCachedTranslation('Gender equality', 'it'), '[it] Gender equality');
+});
+
+test('translations stored in IndexedDB are reused after a reload', async () => {
+    const requests = mockFetch(url => (url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined));
+    const first = createService();
+    await first.translate('Affordable and clean energy', 'nl');
+    // The cache is written in the background
+    assert.strictEqual(await first.persistentCache.get('Affordable and clean energy', 'nl'), '[nl] Affordable and clean energy');
+
+    const second = createService();
+    assert.strictEqual(second.getCachedTranslation('Affordable and clean energy', 'nl'), null);
+    assert.strictEqual(await second.translate('Affordable and clean energy', 'nl'), '[nl] Affordable and clean energy');
+
+    assert.strictEqual(apiRequests(requests).length, 1);
+    assert.strictEqual(second.getCachedTranslation('Affordable and clean energy', 'nl'), '[nl] Affordable and clean energy');
+});
+
+test('language pack entries are used without calling the API', async () => {
+    const requests = mockFetch(url => {
+        if (url.pathname === '/files/i18n/pt.json') {
+            return jsonResponse({
+                language: 'pt',
+                version: TranslationCache.VERSION,
+                entries: { [TranslationCache.hash('No poverty')]: 'Erradicação da pobreza' }
+            });
+        }
+        return url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined;
+    });
+    const service = createService();
+
+    await service.loadLanguagePack('pt');
+
+    assert.strictEqual(await service.translate('No poverty', 'pt'), 'Erradicação da pobreza');
+    assert.strictEqual(apiRequests(requests).length, 0);
+});
+
+test('English and unsupported languages are never sent to the API', async () => {
+    const requests = mockFetch(url => (url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined));
+    const service = createService();
+
+    assert.strictEqual(await service.translate('Partnerships for the goals', 'en'), 'Partnerships for the goals');
+    assert.strictEqual(await service.translate('Partnerships for the goals', 'xx'), 'Partnerships for the goals');
+    assert.strictEqual(apiRequests(requests).length, 0);
+});
+
+test('Markdown answers are translated prose by prose, keeping their structure', async () => {
+    mockFetch(url => (url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined));
+    const service = createService();
+    const progress = [];
+
+    const translated = await service.translateMarkdown('## Summary\n\n- **Water** for all\n\n```\ncode\n```', 'sv',
+        update => progress.push(update));
+
+    // Inline formatting is part of the prose; list markers and code are left alone
+    assert.strictEqual(translated, '## [sv] Summary\n\n- [sv] **Water** for all\n\n```\ncode\n```');
+    assert.deepStrictEqual(progress.at(-1), { completed: 2, total: 2 });
+});
+
+test('DeepL is reached through the server proxy, which lists its languages', async () => {
+    const requests = mockFetch((url, request) => {
+        if (url.pathname === '/api/translate/languages') {
+            return jsonResponse({ languages: ['DE', 'EN-GB', 'EN-US', 'HE', 'NB', 'PT-BR', 'PT-PT', 'SV'] });
+        }
+        if (url.pathname === '/api/translate') {
+            return jsonResponse({ translations: request.body.texts.map(text => `[${request.body.target}] ${text}`) });
+        }
+        return undefined;
+    });
+    const service = new TranslationService('deepl');
+    service.sleep = async () => {};
+
+    assert.strictEqual(await service.translate('Gender equality', 'he'), '[HE] Gender equality');
+    assert.strictEqual(await service.translate('Gender equality', 'hi'), 'Gender equality');
+    assert.strictEqual(await service.translate('Gender equality', 'no'), '[NB] Gender equality');
+
+    const [languages, translate] = requests.filter(request => request.url.pathname.startsWith('/api/'));
+    assert.strictEqual(languages.url.searchParams.get('backend'), 'deepl');
+    assert.deepStrictEqual(translate.body, { backend: 'deepl', texts: ['Gender equality'], target: 'HE' });
+    assert.strictEqual(requests.filter(request => request.url.pathname === '/api/translate').length, 2);
+});
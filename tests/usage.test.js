@@ -0,0 +1,273 @@
+// UsageMeter around AIService and TranslationService: token counts from Gemini's usageMetadata,
+// estimated costs, characters translated, cache hits and failures, the budgets that refuse new
+// calls once used up, and the usage panel that shows it all.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBrowser, importApp, jsonResponse, geminiResponse, geminiStreamResponse, mockFetch, waitFor } = require('./helpers/browser');
+
+const MYMEMORY_URL = 'https://api.mymemory.translated.net/get';
+
+let App;
+let AIService;
+let TranslationService;
+let SettingsManager;
+let UsageMeter;
+let BudgetExceededError;
+let AI_ERROR_MESSAGES;
+
+function createSettings() {
+    return new SettingsManager({ getProvider: () => null, getGoal: () => ({ id: 1 }) });
+}
+
+// An AIService and a TranslationService sharing one meter, without retry or rate limit waits
+function createServices() {
+    const settings = createSettings();
+    const usage = new UsageMeter({ settings });
+    usage.setGoal(1);
+    const aiService = new AIService('gemini', settings, usage);
+    aiService.wait = async () => {};
+    const translationService = new TranslationService('mymemory', usage);
+    translationService.sleep = async () => {};
+    return { settings, usage, aiService, translationService };
+}
+
+function generateRequests(requests) {
+    return requests.filter(request => request.url.pathname === '/api/generate');
+}
+
+function myMemoryResponse(url) {
+    return jsonResponse({ responseData: { translatedText: `[sv] ${url.searchParams.get('q')}` } });
+}
+
+beforeEach(async (t) => {
+    setupBrowser();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    ({ App, AIService } = await importApp('app.js'));
+    ({ TranslationService } = await importApp('translations.js'));
+    ({ SettingsManager } = await importApp('settings.js'));
+    ({ UsageMeter, BudgetExceededError } = await importApp('usage-meter.js'));
+    ({ AI_ERROR_MESSAGES } = await importApp('providers.js'));
+});
+
+test('a streamed answer is counted with the tokens Gemini reports and its estimated cost', async () => {
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? geminiStreamResponse(['Clean ', 'water.'], { usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 300, totalTokenCount: 1500 } })
+        : undefined));
+    const { usage, aiService } = createServices();
+
+    await aiService.streamResponse('Tell me about SDG 6', 'en', [], () => {}, undefined, { goalId: 6 });
+
+    const session = usage.getTotals('session');
+    assert.strictEqual(session.aiCalls, 1);
+    assert.strictEqual(session.inputTokens, 1200);
+    assert.strictEqual(session.outputTokens, 300);
+    // gemini-2.0-flash: $0.10 per million input and $0.40 per million output tokens
+    assert.strictEqual(session.cost.toFixed(8), '0.00024000');
+    assert.ok(session.aiLatencyMs >= 0);
+    assert.deepStrictEqual(usage.getTotals('day'), session);
+    assert.deepStrictEqual(usage.getGoalTotals().map(({ goalId, totals }) => [goalId, totals.inputTokens]), [[6, 1200]]);
+});
+
+test('thinking tokens are counted as output', async () => {
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? geminiResponse('An answer.', { usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 20, thoughtsTokenCount: 50 } })
+        : undefined));
+    const { usage, aiService } = createServices();
+
+    await aiService.generateResponse('Question', 'en');
+
+    assert.strictEqual(usage.getTotals('session').outputTokens, 70);
+    assert.strictEqual(usage.getGoalTotals()[0].goalId, 1, 'counted for the selected goal');
+});
+
+test('a failed call is counted once, with its retries, and listed with its error', async () => {
+    const requests = mockFetch(url => (url.pathname === '/api/generate'
+        ? jsonResponse({ error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } }, { status: 503 })
+        : undefined));
+    const { usage, aiService } = createServices();
+
+    await assert.rejects(aiService.generateResponse('Question', 'en'));
+
+    assert.strictEqual(generateRequests(requests).length, 3);
+    const session = usage.getTotals('session');
+    assert.strictEqual(session.aiCalls, 1);
+    assert.strictEqual(session.aiFailures, 1);
+    const [failure] = usage.getFailures();
+    assert.strictEqual(failure.kind, 'ai');
+    assert.strictEqual(failure.source, 'gemini');
+    assert.strictEqual(failure.type, 'server');
+    assert.match(failure.message, /overloaded/);
+});
+
+test('once the token budget is used up, AI requests are refused without calling the provider', async () => {
+    const requests = mockFetch(url => (url.pathname === '/api/generate'
+        ? geminiResponse('An answer.', { usageMetadata: { promptTokenCount: 800, candidatesTokenCount: 400 } })
+        : undefined));
+    const { settings, usage, aiService } = createServices();
+    settings.setBudget('sessionTokens', 1000);
+
+    await aiService.generateResponse('First question', 'en');
+    assert.ok(usage.isOverBudget('ai'));
+    assert.ok(!usage.isOverBudget('translation'));
+
+    await assert.rejects(aiService.generateResponse('Second question', 'en'), error => {
+        assert.ok(error instanceof BudgetExceededError);
+        assert.strictEqual(error.type, 'budget');
+        assert.strictEqual(error.budget, 'sessionTokens');
+        assert.strictEqual(error.limit, 1000);
+        assert.strictEqual(error.used, 1200);
+        return true;
+    });
+    assert.strictEqual(generateRequests(requests).length, 1);
+    assert.strictEqual(usage.getTotals('session').aiFailures, 0, 'a refused request is not a failure');
+
+    // Clearing the limit lets requests through again
+    settings.setBudget('sessionTokens', null);
+    assert.strictEqual(await aiService.generateResponse('Third question', 'en'), 'An answer.');
+});
+
+test('translations count requests, characters and cache hits', async () => {
+    const requests = mockFetch(url => (url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined));
+    const { usage, translationService } = createServices();
+
+    await translationService.translate('Clean water', 'sv');
+    await translationService.translate('Clean water', 'sv');
+    await translationService.translate('Zero hunger', 'sv');
+
+    const session = usage.getTotals('session');
+    assert.strictEqual(requests.filter(request => request.url.href.startsWith(MYMEMORY_URL)).length, 2);
+    assert.strictEqual(session.translationRequests, 2);
+    assert.strictEqual(session.characters, 'Clean water'.length + 'Zero hunger'.length);
+    assert.strictEqual(session.cacheHits, 1);
+    assert.strictEqual(session.cacheMisses, 2);
+    assert.strictEqual(session.translationFailures, 0);
+});
+
+test('cache hits are saved together and do not store a session on their own', async (t) => {
+    mockFetch(url => (url.pathname === '/api/generate' ? geminiResponse('An answer.') : undefined));
+    const { usage, aiService } = createServices();
+    const save = t.mock.method(usage, 'save');
+    const delay = UsageMeter.LOOKUP_SAVE_DELAY_MS;
+    UsageMeter.LOOKUP_SAVE_DELAY_MS = 10;
+    t.after(() => {
+        UsageMeter.LOOKUP_SAVE_DELAY_MS = delay;
+    });
+
+    for (let i = 0; i < 50; i++) usage.recordCacheLookup(true);
+    usage.recordCacheLookup(false);
+    assert.strictEqual(save.mock.callCount(), 0);
+    assert.strictEqual(usage.getTotals('session').cacheHits, 50);
+
+    await waitFor(() => save.mock.callCount() === 1);
+    assert.strictEqual(usage.getSessions().length, 0);
+    assert.strictEqual(JSON.parse(localStorage.getItem(UsageMeter.STORAGE_KEY)).days[usage.getDay()].cacheHits, 50);
+
+    // The next paid call stores the session with the lookups counted so far
+    usage.recordCacheLookup(true);
+    await aiService.generateResponse('Question', 'en');
+    const [session] = usage.getSessions();
+    assert.strictEqual(session.id, usage.session.id);
+    assert.strictEqual(session.totals.cacheHits, 51);
+    assert.strictEqual(session.totals.cacheMisses, 1);
+});
+
+test('once the character budget is used up, texts stay in English', async () => {
+    const requests = mockFetch(url => (url.href.startsWith(MYMEMORY_URL) ? myMemoryResponse(url) : undefined));
+    const { settings, translationService } = createServices();
+    settings.setBudget('dailyCharacters', 10);
+
+    assert.strictEqual(await translationService.translate('Clean water', 'sv'), '[sv] Clean water');
+    assert.strictEqual(await translationService.translate('Zero hunger', 'sv'), 'Zero hunger');
+    // Cached translations are still served
+    assert.strictEqual(await translationService.translate('Clean water', 'sv'), '[sv] Clean water');
+    assert.strictEqual(requests.filter(request => request.url.href.startsWith(MYMEMORY_URL)).length, 1);
+});
+
+test('usage is kept across page loads, per session and per day', async () => {
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? geminiResponse('An answer.', { usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 50 } })
+        : undefined));
+    const first = createServices();
+    await first.aiService.generateResponse('Question', 'en');
+
+    const second = createServices();
+    assert.strictEqual(second.usage.getTotals('session').aiCalls, 0);
+    assert.strictEqual(second.usage.getSessions().length, 1, 'a session is only stored once it records something');
+    await second.aiService.generateResponse('Question', 'en');
+
+    assert.deepStrictEqual(second.usage.getSessions().map(session => session.id), [second.usage.session.id, first.usage.session.id]);
+    assert.strictEqual(second.usage.getTotals('day').inputTokens, 200);
+    assert.strictEqual(second.usage.getTotals('session').inputTokens, 100);
+});
+
+test('tabs open at the same time add to the same totals and budgets', async () => {
+    mockFetch();
+    const first = createServices();
+    const second = createServices();
+
+    first.usage.add({ aiCalls: 1, inputTokens: 100 }, 1);
+    second.usage.addFailure('ai', 'gemini', { type: 'network', message: 'Failed to fetch' }, 2);
+    second.usage.add({ aiCalls: 1, aiFailures: 1, inputTokens: 50 }, 2);
+    first.usage.add({ aiCalls: 1, inputTokens: 10 }, 2);
+
+    const stored = JSON.parse(localStorage.getItem(UsageMeter.STORAGE_KEY));
+    assert.strictEqual(stored.days[first.usage.getDay()].inputTokens, 160);
+    assert.strictEqual(stored.days[first.usage.getDay()].aiCalls, 3);
+    assert.deepStrictEqual(first.usage.getGoalTotals().map(({ goalId, totals }) => [goalId, totals.inputTokens]), [[1, 100], [2, 60]]);
+    assert.deepStrictEqual(second.usage.getSessions().map(session => [session.id, session.totals.inputTokens]),
+        [[second.usage.session.id, 50], [first.usage.session.id, 110]]);
+    assert.strictEqual(first.usage.getFailures()[0].message, 'Failed to fetch');
+
+    // The daily budget counts the other tab's tokens too
+    first.settings.setBudget('dailyTokens', 150);
+    assert.throws(() => first.usage.checkBudget('ai'), BudgetExceededError);
+    assert.strictEqual(first.usage.getTotals('session').inputTokens, 110);
+});
+
+test('the usage panel shows this session, today, each goal and the budgets', async () => {
+    mockFetch(url => (url.pathname === '/api/generate'
+        ? geminiStreamResponse(['An answer.'], { usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 500 } })
+        : undefined));
+    const app = new App();
+    await app.handlePromptClick(document.querySelector('#goal-7 .prompt-button'));
+    app.usage.add({ aiCalls: 1, inputTokens: 100, outputTokens: 50 }, 2);
+
+    await app.usageDashboard.render();
+
+    const rows = Array.from(document.querySelectorAll('#usageSummary tbody tr'));
+    const row = label => rows.find(tr => tr.querySelector('th').textContent.trim() === label);
+    assert.deepStrictEqual(Array.from(row('AI requests').querySelectorAll('td')).map(td => td.textContent.trim()), ['2', '2']);
+    assert.strictEqual(row('Input tokens').querySelector('td').textContent.trim(), '1,100');
+    assert.strictEqual(row('Estimated cost').querySelector('td [data-currency]').textContent, '$0.0003');
+    assert.strictEqual(row('Translation cache hit rate (%)').querySelector('td').textContent.trim(), '–');
+    assert.deepStrictEqual(Array.from(document.querySelectorAll('#usageGoals tbody tr')).map(tr => tr.getAttribute('data-goal-id')), ['2', '7']);
+    assert.strictEqual(document.querySelectorAll('#usageSessions tbody tr').length, 1);
+
+    // Setting a budget that is already used up shows the pause at once
+    const field = document.getElementById('budgetSessionTokens');
+    field.value = '1500';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.deepStrictEqual(app.settings.get('budgets'), { sessionTokens: 1500 });
+    assert.strictEqual(document.querySelector('#usageAlerts [data-budget-exceeded]').getAttribute('data-budget-exceeded'), 'sessionTokens');
+    assert.match(document.getElementById('budgetSessionTokensUsed').textContent, /1,650/);
+
+    field.value = '';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.deepStrictEqual(app.settings.get('budgets'), {});
+    assert.strictEqual(document.getElementById('usageAlerts').children.length, 0);
+});
+
+test('a question asked over budget shows the budget message instead of an answer', async () => {
+    const requests = mockFetch();
+    const app = new App();
+    app.settings.setBudget('dailyCost', 0);
+
+    await app.handlePromptClick(document.querySelector('#goal-3 .prompt-button'));
+
+    const alert = document.querySelector('#aiResponse .alert-danger');
+    assert.strictEqual(alert.getAttribute('data-error-type'), 'budget');
+    assert.ok(alert.textContent.includes(AI_ERROR_MESSAGES.budget.message));
+    assert.strictEqual(generateRequests(requests).length, 0);
+    await waitFor(() => document.getElementById('liveStatus').textContent.startsWith(AI_ERROR_MESSAGES.budget.message));
+});
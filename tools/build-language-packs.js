@@ -0,0 +1,168 @@
+// Builds static translation packs (files/i18n/<lang>.json) for every language in
+// #languageSelect, so the page can be translated without one API call per string.
+// Usage: node tools/build-language-packs.js [--lang=sv,fr]
+// Existing packs are reused: only strings without a translation are sent to the API,
+// and entries for strings that no longer exist are dropped.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'files', 'i18n');
+const REQUEST_DELAY_MS = 1000;
+const MAX_RETRIES = 3;
+
+// The app's files are ES modules, so they are loaded with import() when main() starts
+let TranslationCache;
+let GOALS;
+let AI_ERROR_MESSAGES;
+let UsageMeter;
+let USAGE_METRICS;
+let USAGE_ALERTS;
+
+function importAppModule(file) {
+    return import(pathToFileURL(path.join(ROOT, 'files', file)).href);
+}
+
+const SDG_DATA = JSON.parse(fs.readFileSync(path.join(ROOT, 'files', 'data', 'sdg-targets.json'), 'utf8'));
+
+function getLanguages(html) {
+    const select = html.match(/<select id="languageSelect"[\s\S]*?<\/select>/);
+    const codes = [...select[0].matchAll(/<option value="([^"]+)"/g)].map(match => match[1]);
+    return codes.filter(code => code !== 'en');
+}
+
+// Static strings: goal data, targets and indicators, AI error messages, usage panel labels,
+// data-translate elements and the status messages App translates
+function collectStrings(html) {
+    const strings = new Set();
+
+    GOALS.forEach(goal => {
+        strings.add(goal.title);
+        strings.add(goal.description);
+        goal.prompts.forEach(prompt => strings.add(prompt));
+    });
+
+    SDG_DATA.goals.forEach(goal => goal.targets.forEach(target => {
+        strings.add(target.title);
+        target.indicators.forEach(indicator => strings.add(indicator.title));
+    }));
+
+    Object.values(AI_ERROR_MESSAGES).forEach(({ message, hint }) => {
+        strings.add(message);
+        strings.add(hint);
+    });
+
+    Object.values(UsageMeter.BUDGETS).forEach(({ label }) => strings.add(label));
+    USAGE_METRICS.forEach(({ label }) => strings.add(label));
+    Object.values(USAGE_ALERTS).forEach(text => strings.add(text));
+
+    ['index.html', 'files/goals.js', 'files/app.js', 'files/library.js', 'files/report.js', 'files/usage-dashboard.js'].forEach(file => {
+        const source = file === 'index.html' ? html : fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const match of source.matchAll(/data-translate[^>]*>([^<$]+)</g)) {
+            strings.add(match[1].trim());
+        }
+        for (const match of source.matchAll(/(?:translationService\.translate\(|textContent = )'([^']+)'/g)) {
+            strings.add(match[1]);
+        }
+    });
+
+    strings.delete('');
+    return [...strings];
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function translate(text, targetLang, retryCount = 0) {
+    const email = process.env.MYMEMORY_EMAIL ? `&de=${encodeURIComponent(process.env.MYMEMORY_EMAIL)}` : '';
+    const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=en|${targetLang}${email}`;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Translation API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data.responseData?.translatedText) {
+            throw new Error('No translation returned from API');
+        }
+        return data.responseData.translatedText;
+    } catch (error) {
+        if (retryCount < MAX_RETRIES) {
+            await sleep(REQUEST_DELAY_MS * 2 ** (retryCount + 1));
+            return translate(text, targetLang, retryCount + 1);
+        }
+        throw error;
+    }
+}
+
+function readPack(file) {
+    try {
+        const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return pack.version === TranslationCache.VERSION ? pack.entries : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+async function buildPack(targetLang, strings) {
+    const file = path.join(OUTPUT_DIR, `${targetLang}.json`);
+    const existing = readPack(file);
+    const entries = {};
+    let translated = 0;
+    let failed = 0;
+
+    for (const text of strings) {
+        const hash = TranslationCache.hash(text);
+        if (existing[hash]) {
+            entries[hash] = existing[hash];
+            continue;
+        }
+
+        try {
+            entries[hash] = await translate(text, targetLang);
+            translated++;
+        } catch (error) {
+            console.error(`  ${targetLang}: could not translate "${text}": ${error.message}`);
+            failed++;
+        }
+        await sleep(REQUEST_DELAY_MS);
+    }
+
+    fs.writeFileSync(file, JSON.stringify({
+        language: targetLang,
+        version: TranslationCache.VERSION,
+        generatedAt: new Date().toISOString(),
+        entries
+    }, null, 2) + '\n');
+
+    console.log(`${targetLang}: ${Object.keys(entries).length}/${strings.length} strings (${translated} new, ${failed} failed)`);
+}
+
+async function main() {
+    ({ TranslationCache } = await importAppModule('translation-cache.js'));
+    ({ GOALS } = await importAppModule('goals.js'));
+    ({ AI_ERROR_MESSAGES } = await importAppModule('providers.js'));
+    ({ UsageMeter } = await importAppModule('usage-meter.js'));
+    ({ USAGE_METRICS, USAGE_ALERTS } = await importAppModule('usage-dashboard.js'));
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const langArg = process.argv.find(arg => arg.startsWith('--lang='));
+    const languages = langArg ? langArg.slice('--lang='.length).split(',') : getLanguages(html);
+    const strings = collectStrings(html);
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    console.log(`Building ${languages.length} language packs with ${strings.length} strings each`);
+
+    for (const language of languages) {
+        await buildPack(language, strings);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+// Local stand-in for Gemini's streamGenerateContent endpoint.
+// Run with `node tools/mock-gemini-sse.js` and start the server with its GEMINI_STREAM_URL environment
+// variable set to http://localhost:8787/v1beta/models/{model}:streamGenerateContent to exercise the
+// chunk parsing, as shown in the README.
+const http = require('http');
+
+const PORT = process.env.PORT || 8787;
+
+const CHUNKS = [
+    'Sustainable development ',
+    'means meeting the needs of the present\n',
+    'without compromising the ability of future generations ',
+    'to meet their own needs.'
+];
+
+function toEvent(text) {
+    return `data: ${JSON.stringify({
+        candidates: [{ content: { role: 'model', parts: [{ text }] } }]
+    })}\r\n\r\n`;
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || !req.url.includes(':streamGenerateContent')) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    // Write the events in uneven slices so events get split across network reads
+    const payload = CHUNKS.map(toEvent).join('');
+    let offset = 0;
+    const timer = setInterval(() => {
+        if (offset >= payload.length) {
+            clearInterval(timer);
+            res.end();
+            return;
+        }
+        const size = 7 + Math.floor(Math.random() * 40);
+        res.write(payload.slice(offset, offset + size));
+        offset += size;
+    }, 50);
+
+    req.on('close', () => clearInterval(timer));
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock Gemini SSE server listening on http://localhost:${PORT}`);
+});